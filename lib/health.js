@@ -10,6 +10,9 @@
  */
 
 import { assertNotNull } from './assert.js';
+import { ConfigurableResponses } from './configurable-responses.js';
+import { Enum, sleep } from './lang.js';
+import { Clock } from './time.js';
 
 /**
  * Express state of a component.
@@ -209,22 +212,106 @@ export class CompositeHealth {
  * Strategy interface used to contribute {@link Health} to the results returned
  * from the {@link HealthEndpoint}.
  *
+ * The health can be returned synchronously or as a promise, e.g. to check a
+ * database or a downstream service. A rejected promise or a thrown error
+ * results in {@link Status.DOWN}.
+ *
+ * The {@link HealthEndpoint} passes a signal which is aborted when the timeout
+ * expires, e.g. to cancel a request.
+ *
  * @typedef {object} HealthIndicator
- * @property {function(): Health} health Returns the health of the component.
+ * @property {function({signal?: AbortSignal}=): (Health|Promise<Health>)} health
+ *   Returns the health of the component.
+ * @property {number} [timeout] The timeout in milliseconds, overrides the
+ *   timeout of the endpoint.
+ */
+
+/**
+ * A contributor of health information, either a {@link HealthIndicator} or a
+ * {@link CompositeHealthContributor}.
+ *
+ * @typedef {HealthIndicator|CompositeHealthContributor} HealthContributor
  */
 
 /**
- * A named {@link HealthIndicator}.
+ * A named {@link HealthContributor}.
  *
  * @typedef {object} NamedContributor
  * @property {string} name The name of the contributor.
- * @property {HealthIndicator} contributor The contributor.
+ * @property {HealthContributor} contributor The contributor.
  */
 
 /**
- * A registry of {@link HealthIndicator} instances.
+ * A {@link HealthContributor} that is composed of other contributors, e.g. a
+ * `db` contributor grouping the indicators `primary` and `replica`.
+ *
+ * Example:
+ *
+ * ```javascript
+ * registry.registerContributor(
+ *   'db',
+ *   CompositeHealthContributor.fromMap({
+ *     primary: primaryIndicator,
+ *     replica: replicaIndicator,
+ *   }),
+ * );
+ * ```
+ */
+export class CompositeHealthContributor {
+  /**
+   * Creates a composite contributor from a map of contributors.
+   *
+   * @param {Map<string, HealthContributor>|Record<string, HealthContributor>} contributors
+   *   The contributors by name.
+   * @return {CompositeHealthContributor} The composite contributor.
+   */
+  static fromMap(contributors) {
+    return new CompositeHealthContributor(
+      contributors instanceof Map
+        ? new Map(contributors)
+        : new Map(Object.entries(contributors)),
+    );
+  }
+
+  #contributors;
+
+  /**
+   * Creates a new composite contributor.
+   *
+   * @param {Map<string, HealthContributor>} [contributors] The contributors.
+   */
+  constructor(contributors) {
+    this.#contributors = contributors ?? new Map();
+  }
+
+  /**
+   * Returns a contributor by name.
+   *
+   * @param {string} name The name of the contributor.
+   * @return {HealthContributor} The contributor or `undefined` if not found.
+   */
+  getContributor(name) {
+    return this.#contributors.get(name);
+  }
+
+  /**
+   * Returns an iterator over the named contributors.
+   *
+   * @return {IterableIterator<NamedContributor>} The iterator.
+   */
+  *[Symbol.iterator]() {
+    for (const [name, contributor] of this.#contributors) {
+      yield { name, contributor };
+    }
+  }
+}
+
+/**
+ * A registry of {@link HealthContributor} instances.
+ *
+ * @extends CompositeHealthContributor
  */
-export class HealthContributorRegistry {
+export class HealthContributorRegistry extends CompositeHealthContributor {
   static #instance = new HealthContributorRegistry();
 
   /**
@@ -241,18 +328,19 @@ export class HealthContributorRegistry {
   /**
    * Creates a new registry.
    *
-   * @param {Map<string, HealthIndicator>} [contributors] The initial
+   * @param {Map<string, HealthContributor>} [contributors] The initial
    *   contributors.
    */
-  constructor(contributors) {
-    this.#contributors = contributors ?? new Map();
+  constructor(contributors = new Map()) {
+    super(contributors);
+    this.#contributors = contributors;
   }
 
   /**
    * Registers a contributor.
    *
    * @param {string} name The name of the contributor.
-   * @param {HealthIndicator} contributor The contributor.
+   * @param {HealthContributor} contributor The contributor.
    */
   registerContributor(name, contributor) {
     this.#contributors.set(name, contributor);
@@ -266,27 +354,6 @@ export class HealthContributorRegistry {
   unregisterContributor(name) {
     this.#contributors.delete(name);
   }
-
-  /**
-   * Returns a contributor by name.
-   *
-   * @param {string} name The name of the contributor.
-   * @return {HealthIndicator} The contributorm or `undefined` if not found.
-   */
-  getContributor(name) {
-    return this.#contributors.get(name);
-  }
-
-  /**
-   * Returns an iterator over the named contributors.
-   *
-   * @return {IterableIterator<NamedContributor>} The iterator.
-   */
-  *[Symbol.iterator]() {
-    for (const [name, contributor] of this.#contributors) {
-      yield { name, contributor };
-    }
-  }
 }
 
 /**
@@ -414,6 +481,19 @@ export class SimpleHttpCodeStatusMapper extends HttpCodeStatusMapper {
  * @property {StatusAggregator} statusAggregator The status aggregator.
  * @property {HttpCodeStatusMapper} httpCodeStatusMapper The HTTP code status
  *   mapper.
+ * @property {function(string): boolean} [isMember] Checks if a contributor
+ *   is a member of the group, default is all contributors.
+ * @property {Show} [showDetails] When to show the details of the
+ *   indicators, default is `never`.
+ * @property {Show} [showComponents] When to show the components, default is
+ *   the value of `showDetails`.
+ */
+
+/**
+ * When to show the details or the components of the health, `when-authorized`
+ * shows them only to authorized callers.
+ *
+ * @typedef {'never'|'always'|'when-authorized'} Show
  */
 
 /**
@@ -421,7 +501,100 @@ export class SimpleHttpCodeStatusMapper extends HttpCodeStatusMapper {
  *
  * @typedef {object} HealthEndpointGroups
  * @property {HealthEndpointGroup} primary The primary group.
+ * @property {Record<string, HealthEndpointGroup>} [additional] The additional
+ *   groups by name, e.g. `liveness` and `readiness`.
+ */
+
+/**
+ * A {@link HealthEndpointGroup} whose members are configured by included and
+ * excluded contributor names.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const readiness = new IncludeExcludeHealthEndpointGroup({
+ *   include: ['readinessState', 'db'],
+ * });
+ * ```
  */
+export class IncludeExcludeHealthEndpointGroup {
+  /**
+   * The status aggregator.
+   *
+   * @type {StatusAggregator}
+   */
+  statusAggregator;
+
+  /**
+   * The HTTP code status mapper.
+   *
+   * @type {HttpCodeStatusMapper}
+   */
+  httpCodeStatusMapper;
+
+  /**
+   * When to show the details of the indicators.
+   *
+   * @type {Show}
+   */
+  showDetails;
+
+  /**
+   * When to show the components.
+   *
+   * @type {Show|undefined}
+   */
+  showComponents;
+
+  #include;
+  #exclude;
+
+  /**
+   * Creates a new group.
+   *
+   * @param {object} [options] The group options.
+   * @param {string[]} [options.include=['*']] The names of the included
+   *   contributors, `*` includes all contributors.
+   * @param {string[]} [options.exclude=[]] The names of the excluded
+   *   contributors.
+   * @param {StatusAggregator} [options.statusAggregator] The status
+   *   aggregator, default is the default status aggregator.
+   * @param {HttpCodeStatusMapper} [options.httpCodeStatusMapper] The HTTP code
+   *   status mapper, default is the default HTTP code status mapper.
+   * @param {Show} [options.showDetails='never'] When to show the details of
+   *   the indicators.
+   * @param {Show} [options.showComponents] When to show the components,
+   *   default is the value of `showDetails`.
+   */
+  constructor({
+    include = ['*'],
+    exclude = [],
+    statusAggregator = StatusAggregator.getDefault(),
+    httpCodeStatusMapper = HttpCodeStatusMapper.getDefault(),
+    showDetails = 'never',
+    showComponents,
+  } = {}) {
+    this.#include = include;
+    this.#exclude = exclude;
+    this.statusAggregator = statusAggregator;
+    this.httpCodeStatusMapper = httpCodeStatusMapper;
+    this.showDetails = showDetails;
+    this.showComponents = showComponents;
+  }
+
+  /**
+   * Checks if a contributor is a member of this group.
+   *
+   * @param {string} name The name of the contributor.
+   * @return {boolean} `true` if the contributor is included and not excluded.
+   */
+  isMember(name) {
+    return (
+      (this.#include.includes('*') || this.#include.includes(name)) &&
+      !this.#exclude.includes(name)
+    );
+  }
+}
 
 /**
  * Returned by an operation to provide addtional, web-specific information such
@@ -435,6 +608,14 @@ export class SimpleHttpCodeStatusMapper extends HttpCodeStatusMapper {
 /**
  * A health endpoint that provides information about the health of the
  * application.
+ *
+ * The health indicators are called in parallel. An indicator that does not
+ * respond within its timeout is reported as {@link Status.DOWN}. The response
+ * is cached for the configured time to live to protect the checked
+ * dependencies from frequent probes.
+ *
+ * The details and components are hidden unless the group shows them to the
+ * caller, so anonymous callers get only the aggregated status.
  */
 export class HealthEndpoint {
   static ID = 'health';
@@ -460,6 +641,14 @@ export class HealthEndpoint {
 
   #registry;
   #groups;
+  #timeout;
+  #cacheTimeToLive;
+  #clock;
+
+  /**
+   * @type {Map<string, {timestamp: number, result: Promise<HealthResult>}>}
+   */
+  #cache = new Map();
 
   /**
    * Creates a new health endpoint.
@@ -467,44 +656,532 @@ export class HealthEndpoint {
    * @param {HealthContributorRegistry} registry The health contributor
    *   registry.
    * @param {HealthEndpointGroups} groups The health groups.
+   * @param {object} [options] The endpoint options.
+   * @param {number} [options.timeout=10000] The default timeout of a health
+   *   indicator in milliseconds.
+   * @param {number} [options.cacheTimeToLive=0] The time in milliseconds a
+   *   response is cached, `0` disables caching.
+   * @param {Clock} [options.clock] The clock to determine the age of the
+   *   cached response.
    */
-  constructor(/** @type {HealthContributorRegistry} */ registry, groups) {
+  constructor(
+    /** @type {HealthContributorRegistry} */ registry,
+    groups,
+    { timeout = 10000, cacheTimeToLive = 0, clock = Clock.system() } = {},
+  ) {
     assertNotNull(registry, 'Registry must not be null.');
     assertNotNull(groups, 'Groups must not be null.');
     this.#registry = registry;
     this.#groups = groups;
+    this.#timeout = timeout;
+    this.#cacheTimeToLive = cacheTimeToLive;
+    this.#clock = clock;
   }
 
   /**
-   * Returns the health of the application.
+   * Returns the health of the application or of a contributor.
    *
-   * @return {EndpointResponse} The health response.
+   * @param {object} [options] The request options.
+   * @param {string[]} [options.path=[]] The path to a group or a contributor,
+   *   e.g. `['db', 'primary']`. Returns the health of the application if
+   *   empty.
+   * @param {boolean} [options.authorized=false] Whether the caller is
+   *   authorized to see details and components shown `when-authorized`.
+   * @return {Promise<EndpointResponse|undefined>} The health response or
+   *   `undefined` if no contributor exists or is shown at the path.
    */
-  health() {
-    const result = this.#getHealth();
-    const health = result.health;
-    const status = result.group.httpCodeStatusMapper.getStatusCode(
-      health.status,
+  async health({ path = [], authorized = false } = {}) {
+    const result = await this.#getCachedResult(path);
+    if (result == null) {
+      return undefined;
+    }
+
+    const { group, health, root } = result;
+    const showDetails = isShown(group.showDetails, authorized);
+    const showComponents = isShown(
+      group.showComponents ?? group.showDetails,
+      authorized,
+    );
+    if (!root && !showComponents) {
+      return undefined;
+    }
+
+    const status = group.httpCodeStatusMapper.getStatusCode(health.status);
+    const body = applyVisibility(health, showComponents, showDetails);
+    return { status, body };
+  }
+
+  #getCachedResult(/** @type {string[]} */ path) {
+    const target = this.#resolve(path);
+    if (target == null) {
+      return undefined;
+    }
+
+    // Only resolved paths are cached, so the cache is bounded by the
+    // contributors. Expired entries are dropped.
+    const timestamp = this.#clock.millis();
+    for (const [key, entry] of this.#cache) {
+      if (timestamp - entry.timestamp >= this.#cacheTimeToLive) {
+        this.#cache.delete(key);
+      }
+    }
+
+    const key = path.join('/');
+    const cached = this.#cache.get(key);
+    if (cached != null) {
+      return cached.result;
+    }
+
+    const result = this.#getResult(target);
+    if (this.#cacheTimeToLive > 0) {
+      this.#cache.set(key, { timestamp, result });
+    }
+    return result;
+  }
+
+  #resolve(/** @type {string[]} */ path) {
+    let group = this.#groups.primary;
+    const additional = this.#groups.additional?.[path[0]];
+    if (additional != null) {
+      group = additional;
+      path = path.slice(1);
+    }
+
+    if (path.length > 0 && !isMember(group, path[0])) {
+      return undefined;
+    }
+
+    /** @type {HealthContributor} */ let contributor = this.#registry;
+    for (const name of path) {
+      if (!(contributor instanceof CompositeHealthContributor)) {
+        return undefined;
+      }
+
+      contributor = contributor.getContributor(name);
+      if (contributor == null) {
+        return undefined;
+      }
+    }
+
+    return { group, contributor, root: contributor === this.#registry };
+  }
+
+  async #getResult(
+    /**
+     * @type {{group: HealthEndpointGroup, contributor: HealthContributor, root: boolean}}
+     */ { group, contributor, root },
+  ) {
+    const health = root
+      ? await this.#getRootHealth(group)
+      : await this.#getHealth(contributor, group);
+    return { group, health, root };
+  }
+
+  async #getRootHealth(/** @type {HealthEndpointGroup} */ group) {
+    const contributors = Array.from(this.#registry).filter(({ name }) =>
+      isMember(group, name),
     );
-    return { status, body: health };
+    if (contributors.length === 0) {
+      return Health.up();
+    }
+
+    return this.#getCompositeHealth(contributors, group);
   }
 
-  #getHealth() {
-    const statuses = [];
+  async #getHealth(
+    /** @type {HealthContributor} */ contributor,
+    /** @type {HealthEndpointGroup} */ group,
+  ) {
+    if (!(contributor instanceof CompositeHealthContributor)) {
+      return this.#getContributorHealth(contributor);
+    }
+
+    return this.#getCompositeHealth(Array.from(contributor), group);
+  }
+
+  async #getCompositeHealth(
+    /** @type {NamedContributor[]} */ contributors,
+    /** @type {HealthEndpointGroup} */ group,
+  ) {
+    const healths = await Promise.all(
+      contributors.map(({ contributor }) =>
+        this.#getHealth(contributor, group),
+      ),
+    );
     const components = {};
-    for (const { name, contributor } of this.#registry) {
-      components[name] = contributor.health();
-      statuses.push(components[name].status);
+    contributors.forEach(({ name }, i) => (components[name] = healths[i]));
+    const status = group.statusAggregator.getAggregateStatus(
+      healths.map((h) => h.status),
+    );
+    return new CompositeHealth(status, components);
+  }
+
+  async #getContributorHealth(/** @type {HealthIndicator} */ contributor) {
+    const timeout = contributor.timeout ?? this.#timeout;
+    const controller = new AbortController();
+    let timeoutId;
+    try {
+      return await Promise.race([
+        contributor.health({ signal: controller.signal }),
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => {
+            const error = new TimeoutError(timeout);
+            controller.abort(error);
+            reject(error);
+          }, timeout);
+        }),
+      ]);
+    } catch (error) {
+      return Health.down({ error });
+    } finally {
+      clearTimeout(timeoutId);
     }
+  }
+}
 
-    let health;
-    if (statuses.length > 0) {
-      const status =
-        this.#groups.primary.statusAggregator.getAggregateStatus(statuses);
-      health = new CompositeHealth(status, components);
-    } else {
-      health = Health.up();
+/**
+ * @typedef {object} HealthResult
+ * @property {HealthEndpointGroup} group
+ * @property {Health|CompositeHealth} health
+ * @property {boolean} root
+ * @ignore
+ */
+
+function isShown(/** @type {Show|undefined} */ show, authorized) {
+  switch (show) {
+    case 'always':
+      return true;
+    case 'when-authorized':
+      return authorized;
+    default:
+      return false;
+  }
+}
+
+function applyVisibility(
+  /** @type {Health|CompositeHealth} */ health,
+  /** @type {boolean} */ showComponents,
+  /** @type {boolean} */ showDetails,
+) {
+  if (health instanceof CompositeHealth) {
+    if (!showComponents) {
+      return new CompositeHealth(health.status);
+    }
+
+    const components = {};
+    for (const [name, component] of Object.entries(health.components ?? {})) {
+      components[name] = applyVisibility(component, true, showDetails);
     }
-    return { health, group: this.#groups.primary };
+    return new CompositeHealth(health.status, components);
+  }
+
+  return showDetails ? health : new Health(health.status);
+}
+
+function isMember(
+  /** @type {HealthEndpointGroup} */ group,
+  /** @type {string} */ name,
+) {
+  return group.isMember?.(name) ?? true;
+}
+
+class TimeoutError extends Error {
+  constructor(/** @type {number} */ timeout) {
+    super(`Health check timed out after ${timeout} ms.`);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The liveness state of the application.
+ *
+ * A broken application should be restarted, e.g. by Kubernetes.
+ */
+export class LivenessState extends Enum {
+  /**
+   * The application is running and its internal state is correct.
+   *
+   * @type {LivenessState}
+   */
+  static CORRECT = new LivenessState('CORRECT', 0);
+
+  /**
+   * The application is running but its internal state is broken.
+   *
+   * @type {LivenessState}
+   */
+  static BROKEN = new LivenessState('BROKEN', 1);
+}
+
+/**
+ * The readiness state of the application.
+ *
+ * An application refusing traffic should not receive requests, e.g. during
+ * startup or graceful shutdown.
+ */
+export class ReadinessState extends Enum {
+  /**
+   * The application is ready to receive traffic.
+   *
+   * @type {ReadinessState}
+   */
+  static ACCEPTING_TRAFFIC = new ReadinessState('ACCEPTING_TRAFFIC', 0);
+
+  /**
+   * The application is not willing to receive traffic.
+   *
+   * @type {ReadinessState}
+   */
+  static REFUSING_TRAFFIC = new ReadinessState('REFUSING_TRAFFIC', 1);
+}
+
+/**
+ * Holds the availability state of the application.
+ *
+ * The application changes the state during its lifecycle, e.g. refuses
+ * traffic until the startup is complete and again on graceful shutdown.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const availability = ApplicationAvailability.getDefault();
+ * process.on('SIGTERM', () => {
+ *   availability.readinessState = ReadinessState.REFUSING_TRAFFIC;
+ * });
+ * ```
+ */
+export class ApplicationAvailability {
+  static #instance = new ApplicationAvailability();
+
+  /**
+   * Returns the default application availability.
+   *
+   * @return {ApplicationAvailability} The default application availability.
+   */
+  static getDefault() {
+    return ApplicationAvailability.#instance;
   }
+
+  /**
+   * The liveness state of the application.
+   *
+   * @type {LivenessState}
+   */
+  livenessState;
+
+  /**
+   * The readiness state of the application.
+   *
+   * @type {ReadinessState}
+   */
+  readinessState;
+
+  /**
+   * Creates a new application availability.
+   *
+   * @param {object} [options] The initial states.
+   * @param {LivenessState} [options.livenessState=LivenessState.CORRECT]
+   * @param {ReadinessState} [options.readinessState=ReadinessState.ACCEPTING_TRAFFIC]
+   */
+  constructor({
+    livenessState = LivenessState.CORRECT,
+    readinessState = ReadinessState.ACCEPTING_TRAFFIC,
+  } = {}) {
+    this.livenessState = livenessState;
+    this.readinessState = readinessState;
+  }
+}
+
+/**
+ * A {@link HealthIndicator} that reports the liveness state of the
+ * application, {@link Status.DOWN} if broken.
+ */
+export class LivenessStateHealthIndicator {
+  #availability;
+
+  /**
+   * Creates a new liveness state health indicator.
+   *
+   * @param {ApplicationAvailability} [availability] The application
+   *   availability, default is the default application availability.
+   */
+  constructor(availability = ApplicationAvailability.getDefault()) {
+    this.#availability = availability;
+  }
+
+  /**
+   * Returns the health of the liveness state.
+   *
+   * @return {Health} The health.
+   */
+  health() {
+    return this.#availability.livenessState === LivenessState.CORRECT
+      ? Health.up()
+      : Health.down();
+  }
+}
+
+/**
+ * A {@link HealthIndicator} that reports the readiness state of the
+ * application, {@link Status.OUT_OF_SERVICE} if refusing traffic.
+ */
+export class ReadinessStateHealthIndicator {
+  #availability;
+
+  /**
+   * Creates a new readiness state health indicator.
+   *
+   * @param {ApplicationAvailability} [availability] The application
+   *   availability, default is the default application availability.
+   */
+  constructor(availability = ApplicationAvailability.getDefault()) {
+    this.#availability = availability;
+  }
+
+  /**
+   * Returns the health of the readiness state.
+   *
+   * @return {Health} The health.
+   */
+  health() {
+    return this.#availability.readinessState ===
+      ReadinessState.ACCEPTING_TRAFFIC
+      ? Health.up()
+      : Health.outOfService();
+  }
+}
+
+/**
+ * A {@link HealthIndicator} that is always {@link Status.UP}.
+ *
+ * Shows that the application is able to respond at all.
+ */
+export class PingHealthIndicator {
+  /**
+   * Returns the health.
+   *
+   * @return {Health} Always up.
+   */
+  health() {
+    return Health.up();
+  }
+}
+
+/**
+ * A {@link HealthIndicator} that checks the status of a HTTP dependency, e.g.
+ * a downstream service.
+ *
+ * The dependency is {@link Status.UP} if a GET request to the URL responds
+ * with a status 2xx, otherwise {@link Status.DOWN}.
+ */
+export class HttpHealthIndicator {
+  /**
+   * Creates a HTTP health indicator.
+   *
+   * @param {object} options The indicator options.
+   * @param {string|URL} options.url The URL to check.
+   * @param {number} [options.timeout] The timeout in milliseconds, default
+   *   is the timeout of the health endpoint.
+   * @return {HttpHealthIndicator} The new indicator.
+   */
+  static create({ url, timeout }) {
+    return new HttpHealthIndicator(
+      url,
+      timeout,
+      globalThis.fetch.bind(globalThis),
+    );
+  }
+
+  /**
+   * Creates a nulled HTTP health indicator.
+   *
+   * @param {object} options The indicator options.
+   * @param {string|URL} [options.url='http://example.com/health'] The URL to
+   *   check.
+   * @param {number} [options.timeout] The timeout in milliseconds.
+   * @param {object|Error|Array<object|Error>} [options.fetchResponse] The
+   *   responses of the dependency, an error simulates a network error.
+   * @return {HttpHealthIndicator} The new nulled indicator.
+   */
+  static createNull({
+    url = 'http://example.com/health',
+    timeout,
+    fetchResponse = { status: 200 },
+  } = {}) {
+    return new HttpHealthIndicator(
+      url,
+      timeout,
+      createFetchStub(fetchResponse),
+    );
+  }
+
+  /**
+   * The timeout in milliseconds.
+   *
+   * @type {number|undefined}
+   */
+  timeout;
+
+  #url;
+  #fetch;
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see HttpHealthIndicator.create
+   * @see HttpHealthIndicator.createNull
+   */
+  constructor(
+    /** @type {string|URL} */ url,
+    /** @type {number|undefined} */ timeout,
+    /** @type {typeof globalThis.fetch} */ fetch,
+  ) {
+    this.#url = String(url);
+    this.timeout = timeout;
+    this.#fetch = fetch;
+  }
+
+  /**
+   * Returns the health of the dependency.
+   *
+   * The request is aborted with the given signal, e.g. when the timeout of
+   * the health endpoint expires. Without a signal the request is aborted after
+   * the timeout of this indicator, if any.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] The signal to abort the request.
+   * @return {Promise<Health>} The health with the URL and the HTTP status.
+   */
+  async health({ signal } = {}) {
+    if (signal == null && this.timeout != null) {
+      signal = AbortSignal.timeout(this.timeout);
+    }
+    try {
+      const response = await this.#fetch(this.#url, { signal });
+      // Release the connection, only the status is of interest.
+      await response.body?.cancel();
+      const details = { url: this.#url, status: response.status };
+      return response.ok ? Health.up({ details }) : Health.down({ details });
+    } catch (error) {
+      return Health.down({ details: { url: this.#url }, error });
+    }
+  }
+}
+
+function createFetchStub(response) {
+  const responses = ConfigurableResponses.create(response);
+  return async (_url, { signal } = {}) => {
+    await sleep(0);
+    signal?.throwIfAborted();
+    const res = responses.next();
+    if (res instanceof Error) {
+      throw res;
+    }
+
+    return new Response(res.body ?? null, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+    });
+  };
 }
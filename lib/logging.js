@@ -9,34 +9,201 @@
  * @module
  */
 
+/**
+ * @import { WebSocketClient } from './web-socket-client.js';
+ */
+
+import { ConfigurableResponses } from './configurable-responses.js';
+import { sleep } from './lang.js';
 import { OutputTracker } from './output-tracker.js';
+import { Clock } from './time.js';
+import { postJsonWithRetry, Timer, TimerTask } from './util.js';
 
 // TODO Replace with logging facade for Winston, Bunyan, Pino, etc.
 
+/**
+ * The configuration of a handler.
+ *
+ * @typedef {object} HandlerConfiguration
+ * @property {boolean} [enabled=true] Whether the handler is used.
+ * @property {Level} [level] The level of the handler, default is `ALL`.
+ * @property {string|{name: string}} [formatter] The name of the formatter,
+ *   `simple`, `json`, `logfmt`, `ecs`, `otel` or `pattern`. Default is
+ *   `simple`. Use an object to pass options, e.g.
+ *   `{ name: 'pattern', pattern: '%d %level %msg' }`.
+ */
+
+/**
+ * The configuration of a file handler.
+ *
+ * @typedef {HandlerConfiguration & {
+ *   name?: string,
+ *   path?: string,
+ *   limit?: number,
+ *   count?: number,
+ *   rotation?: 'daily'|'hourly',
+ *   compress?: boolean,
+ * }} FileHandlerConfiguration
+ */
+
+/**
+ * The configuration of the logging facilities.
+ *
+ * Apply it with {@link LogManager.configure}.
+ */
 export class LoggingConfiguration {
   /**
    * Creates a new logging configuration from an object.
    *
+   * The levels are mapped by logger name, `root` is the name of the root
+   * logger. Level names like `"DEBUG"` are parsed.
+   *
+   * Example:
+   *
+   * ```javascript
+   * const configuration = LoggingConfiguration.fromObject({
+   *   level: { root: 'INFO', 'app.web': 'DEBUG' },
+   *   console: { formatter: 'simple' },
+   *   file: { name: 'app.log', formatter: 'json', level: 'WARNING' },
+   * });
+   * ```
+   *
    * @param {Partial<LoggingConfiguration>} object
    * @returns {LoggingConfiguration}
    */
-  static fromObject({ file, level = { root: Level.INFO } } = {}) {
-    return new LoggingConfiguration(level, file);
+  static fromObject({
+    file,
+    level = { root: Level.INFO },
+    console = { enabled: true },
+  } = {}) {
+    const levels = {};
+    for (const [name, value] of Object.entries(level)) {
+      levels[name] = Level.parse(value);
+    }
+    return new LoggingConfiguration(
+      levels,
+      parseHandlerConfiguration(file),
+      parseHandlerConfiguration(console),
+    );
   }
 
   /**
    * Creates a new logging configuration.
    *
    * @param {{root: Level} | Record<string, Level>} level
-   * @param {{name: ?string, path: ?string} | undefined} file
+   * @param {FileHandlerConfiguration | undefined} file
+   * @param {HandlerConfiguration | undefined} console
    */
-  constructor(level, file) {
+  constructor(level, file, console) {
     this.level = level;
     this.file = file;
+    this.console = console;
+  }
+}
+
+function parseHandlerConfiguration(configuration) {
+  if (configuration == null) {
+    return configuration;
   }
+
+  const { level, ...rest } = configuration;
+  return level == null ? rest : { ...rest, level: Level.parse(level) };
 }
 
 const MESSAGE_LOGGED_EVENT = 'message-logged';
+const REQUEST_SENT_EVENT = 'request-sent';
+
+/**
+ * @ignore
+ */
+class SynchronousContextStorage {
+  #store;
+
+  run(store, callback) {
+    const previous = this.#store;
+    this.#store = store;
+    try {
+      return callback();
+    } finally {
+      this.#store = previous;
+    }
+  }
+
+  getStore() {
+    return this.#store;
+  }
+}
+
+/**
+ * A mapped diagnostic context (MDC) that adds fields to all log records
+ * created within a call chain.
+ *
+ * By default the context is only available for synchronous calls. The
+ * Node.js logging module installs an `AsyncLocalStorage` to propagate the
+ * context through asynchronous calls, e.g. in a middleware:
+ *
+ * ```javascript
+ * app.use((request, response, next) => {
+ *   LogContext.run({ requestId: request.get('X-Request-ID') }, next);
+ * });
+ * ```
+ *
+ * In the browser prefer explicit context objects with
+ * {@link Logger#withFields}.
+ */
+export class LogContext {
+  /** @type {ContextStorage} */
+  static #storage = new SynchronousContextStorage();
+
+  /**
+   * Returns the storage holding the current context.
+   *
+   * @return {ContextStorage} The storage.
+   */
+  static getStorage() {
+    return LogContext.#storage;
+  }
+
+  /**
+   * Sets the storage holding the current context.
+   *
+   * @param {ContextStorage} storage The storage, e.g. an `AsyncLocalStorage`.
+   */
+  static setStorage(storage) {
+    LogContext.#storage = storage;
+  }
+
+  /**
+   * Runs a function with the given fields added to the current context.
+   *
+   * @template T
+   * @param {Record<string, *>} fields The fields to add.
+   * @param {function(): T} callback The function to run.
+   * @return {T} The return value of the function.
+   */
+  static run(fields, callback) {
+    const context = { ...LogContext.get(), ...fields };
+    return LogContext.#storage.run(context, callback);
+  }
+
+  /**
+   * Returns the fields of the current context.
+   *
+   * @return {Record<string, *>} The fields, empty if there is no context.
+   */
+  static get() {
+    return LogContext.#storage.getStore() ?? {};
+  }
+}
+
+/**
+ * A storage for a context, compatible with `AsyncLocalStorage`.
+ *
+ * @typedef {object} ContextStorage
+ * @property {function(*, function(): *): *} run Runs a function with the
+ *   given store.
+ * @property {function(): *} getStore Returns the current store.
+ */
 
 /**
  * Define a set of standard logging levels that can be used to control logging
@@ -217,6 +384,20 @@ export class Logger extends EventTarget {
    */
   level;
 
+  /**
+   * Whether the logger sends its output to the handlers of its parent logger.
+   *
+   * @type {boolean}
+   */
+  useParentHandlers = true;
+
+  /**
+   * The filter to control which log records are logged, beyond the level.
+   *
+   * @type {Filter|undefined}
+   */
+  filter;
+
   /**
    * @type {Handler[]}
    */
@@ -224,6 +405,12 @@ export class Logger extends EventTarget {
 
   #name;
 
+  /** @type {Record<string, *>} */
+  #fields = {};
+
+  /** @type {Logger|undefined} */
+  #fieldsParent;
+
   /**
    * Initializes a new logger with the given name.
    *
@@ -243,6 +430,41 @@ export class Logger extends EventTarget {
     return this.#name;
   }
 
+  /**
+   * The fields added to all log records of this logger.
+   *
+   * @type {Record<string, *>}
+   * @readonly
+   */
+  get fields() {
+    return { ...this.#fields };
+  }
+
+  /**
+   * Returns a child logger that adds the given fields to all log records.
+   *
+   * The child logger has the same name and uses the level, filter and handlers
+   * of this logger. Its records are logged through this logger, so trackers
+   * of this logger see them too.
+   *
+   * Example:
+   *
+   * ```javascript
+   * const log = Logger.getLogger('app').withFields({ requestId, userId });
+   * log.info('User logged in.');
+   * ```
+   *
+   * @param {Record<string, *>} fields The fields to add.
+   * @return {Logger} The child logger.
+   */
+  withFields(fields) {
+    const logger = new Logger(this.name);
+    logger.parent = this;
+    logger.#fields = { ...this.#fields, ...fields };
+    logger.#fieldsParent = this;
+    return logger;
+  }
+
   /**
    * Logs a message with the `ERROR` level.
    *
@@ -292,6 +514,19 @@ export class Logger extends EventTarget {
   /**
    * Logs a message.
    *
+   * The message can be a list of values, a format string followed by its
+   * arguments or a function returning the message. The function is only
+   * called, if the level is loggable. The message is only formatted, if a
+   * handler publishes the log record.
+   *
+   * Example:
+   *
+   * ```javascript
+   * log.info('User %s logged in after %d ms.', name, ms);
+   * log.info('User {} logged in after {} ms.', name, ms);
+   * log.debug(() => expensiveComputation());
+   * ```
+   *
    * @param {Level} level The level of the message.
    * @param  {...*} message The message to log.
    */
@@ -300,17 +535,61 @@ export class Logger extends EventTarget {
       return;
     }
 
+    if (message.length === 1 && typeof message[0] === 'function') {
+      message = [message[0]()];
+    }
+
     const record = new LogRecord(level, ...message);
     record.loggerName = this.name;
-    this.#handlers.forEach((handler) => handler.publish(record));
-    let logger = this.parent;
-    while (logger != null) {
-      logger.#handlers.forEach((handler) => handler.publish(record));
-      logger = logger.parent;
+    const fields = { ...LogContext.get(), ...this.#fields };
+    if (Object.keys(fields).length > 0) {
+      record.fields = fields;
+    }
+    this.logRecord(record);
+  }
+
+  /**
+   * Logs a log record, e.g. received from a remote logger.
+   *
+   * The record is published to the handlers of this logger and its ancestors,
+   * if its level is loggable and it passes the filter of this logger. A logger
+   * created with {@link Logger#withFields} also applies the filter of the
+   * logger it was created from.
+   *
+   * @param {LogRecord} record The log record to log.
+   */
+  logRecord(record) {
+    this.#logRecord(record);
+  }
+
+  /**
+   * @param {LogRecord} record
+   * @return {boolean} `true` if the record was logged.
+   */
+  #logRecord(record) {
+    if (!this.isLoggable(record.level)) {
+      return false;
+    }
+
+    if (this.filter != null && !this.filter.isLoggable(record)) {
+      return false;
+    }
+
+    if (this.#fieldsParent != null) {
+      if (!this.#fieldsParent.#logRecord(record)) {
+        return false;
+      }
+    } else {
+      /** @type {Logger} */ let logger = this;
+      while (logger != null) {
+        logger.#handlers.forEach((handler) => handler.publish(record));
+        logger = logger.useParentHandlers ? logger.parent : null;
+      }
     }
     this.dispatchEvent(
       new CustomEvent(MESSAGE_LOGGED_EVENT, { detail: record }),
     );
+    return true;
   }
 
   /**
@@ -405,6 +684,13 @@ export class LogRecord {
    */
   loggerName;
 
+  /**
+   * The structured key/value pairs of the log record, if any.
+   *
+   * @type {Record<string, *>|undefined}
+   */
+  fields;
+
   /**
    * Initializes a new log record.
    *
@@ -447,6 +733,13 @@ export class Handler {
    */
   formatter;
 
+  /**
+   * The filter to control which log records are published, beyond the level.
+   *
+   * @type {Filter|undefined}
+   */
+  filter;
+
   /**
    * Publishes a `LogRecord`.
    *
@@ -457,139 +750,1751 @@ export class Handler {
     await Promise.reject('Not implemented');
   }
 
+  /**
+   * Publishes a batch of `LogRecord`s.
+   *
+   * Handlers can override this method to write a batch at once.
+   *
+   * @param {LogRecord[]} records The log records to publish.
+   */
+  async publishAll(records) {
+    for (const record of records) {
+      await this.publish(record);
+    }
+  }
+
+  /**
+   * Flushes any buffered output.
+   */
+  async flush() {
+    await Promise.resolve();
+  }
+
+  /**
+   * Flushes and closes the handler and frees all resources.
+   */
+  async close() {
+    await this.flush();
+  }
+
   /**
    * Checks if this handler would actually log a given `LogRecord`.
    *
-   * @param {Level} level The level to check.
+   * A level is only checked against the level of this handler. A log record is
+   * checked against the level and the filter of this handler.
+   *
+   * @param {Level|LogRecord} levelOrRecord The level or log record to check.
    * @return {boolean} `true` if the message would be logged.
    */
-  isLoggable(level) {
-    return level >= this.level;
+  isLoggable(levelOrRecord) {
+    if (levelOrRecord instanceof LogRecord) {
+      return (
+        levelOrRecord.level >= this.level &&
+        (this.filter == null || this.filter.isLoggable(levelOrRecord))
+      );
+    }
+
+    return levelOrRecord >= this.level;
   }
 }
 
 /**
- * A `Handler` that writes log messages to the console.
+ * A `Handler` that queues log records and publishes them asynchronously in
+ * batches to a target handler.
+ *
+ * The queue is bounded. If the queue is full, new records are dropped and
+ * counted in {@link AsyncHandler#dropped}. Publishing never waits, because
+ * loggers do not wait for their handlers.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const handler = new AsyncHandler(FileHandler.create({ filename: 'app.log' }));
+ * Logger.getLogger('').addHandler(handler);
+ * ```
  *
  * @extends Handler
  */
-export class ConsoleHandler extends Handler {
+export class AsyncHandler extends Handler {
+  #target;
+  #capacity;
+  #batchSize;
+
+  /** @type {LogRecord[]} */ #queue = [];
+  /** @type {Promise<void>} */ #draining;
+  #dropped = 0;
+
+  /**
+   * Initializes a new asynchronous handler.
+   *
+   * @param {Handler} target The handler to publish the records to.
+   * @param {object} [options] The handler options.
+   * @param {number} [options.capacity=1000] The maximum number of queued
+   *   records.
+   * @param {number} [options.batchSize=100] The maximum number of records
+   *   published at once.
+   */
+  constructor(target, { capacity = 1000, batchSize = 100 } = {}) {
+    super();
+    this.#target = target;
+    this.#capacity = Math.max(1, capacity);
+    this.#batchSize = Math.max(1, batchSize);
+  }
+
+  /**
+   * The target handler.
+   *
+   * @type {Handler}
+   * @readonly
+   */
+  get target() {
+    return this.#target;
+  }
+
+  /**
+   * The number of records dropped because the queue was full.
+   *
+   * @type {number}
+   * @readonly
+   */
+  get dropped() {
+    return this.#dropped;
+  }
+
   /** @override */
   async publish(/** @type {LogRecord} */ record) {
-    if (!this.isLoggable(record.level)) {
+    if (!this.isLoggable(record)) {
       return;
     }
 
-    const message = this.formatter.format(record);
-    switch (record.level) {
-      case Level.ERROR:
-        console.error(message);
-        break;
-      case Level.WARNING:
-        console.warn(message);
-        break;
-      case Level.INFO:
-        console.info(message);
-        break;
-      case Level.DEBUG:
-        console.debug(message);
-        break;
-      case Level.TRACE:
-        console.trace(message);
-        break;
+    if (this.#queue.length >= this.#capacity) {
+      this.#dropped++;
+      return;
     }
 
-    await Promise.resolve();
+    this.#queue.push(record);
+    if (this.#draining == null) {
+      this.#draining = this.#drain();
+    }
   }
-}
 
-/**
- * A `Formatter` provides support for formatting log records.
- */
-export class Formatter {
   /**
-   * Formats the given log record and return the formatted string.
+   * Waits until all queued records are published and flushes the target
+   * handler.
    *
-   * @param {LogRecord} record The log record to format.
-   * @return {string} The formatted log record.
-   * @abstract
+   * @override
    */
-  format(_record) {
-    throw new Error('Not implemented');
+  async flush() {
+    while (this.#draining != null) {
+      await this.#draining;
+    }
+    await this.#target.flush();
   }
-}
 
-/**
- * Print a brief summary of the `LogRecord` in a human readable format.
- *
- * @implements {Formatter}
- */
-export class SimpleFormatter extends Formatter {
-  /** @override  */
-  format(/** @type {LogRecord} */ record) {
-    let s = record.date.toISOString();
-    if (record.loggerName) {
-      s += ' [' + record.loggerName + ']';
+  /** @override */
+  async close() {
+    await this.flush();
+    await this.#target.close();
+  }
+
+  async #drain() {
+    // Collect the records logged synchronously into the first batch.
+    await Promise.resolve();
+    while (this.#queue.length > 0) {
+      const batch = this.#queue.splice(0, this.#batchSize);
+      try {
+        await this.#target.publishAll(batch);
+      } catch (error) {
+        console.error('Failed to publish log records.', error);
+      }
     }
-    s += ' ' + record.level.toString();
-    s +=
-      ' - ' +
-      record.message
-        .map((m) => (typeof m === 'object' ? JSON.stringify(m) : m))
-        .join(' ');
-    return s;
+    this.#draining = null;
   }
 }
 
 /**
- * Format a `LogRecord` into a JSON object.
+ * A `Handler` that keeps the last log records in a ring buffer.
  *
- * The JSON object has the following properties:
- * - `date`: string
- * - `millis`: number
- * - `sequence`: number
- * - `logger`: string (optional)
- * - `level`: string
- * - `message`: string
+ * If a target handler is given, all buffered records are pushed to it when a
+ * record with at least the push level arrives. So debug records are only
+ * written if an error occurs.
  *
- * @implements {Formatter}
+ * Example:
+ *
+ * ```javascript
+ * const handler = new MemoryHandler({
+ *   size: 500,
+ *   target: FileHandler.create({ filename: 'error.log' }),
+ *   pushLevel: Level.ERROR,
+ * });
+ * ```
+ *
+ * @extends Handler
  */
-export class JsonFormatter extends Formatter {
-  /** @override  */
-  format(/** @type {LogRecord} */ record) {
-    const data = {
-      date: record.date.toISOString(),
-      millis: record.millis,
-      sequence: record.sequenceNumber,
-      logger: record.loggerName,
-      level: record.level.toString(),
-      message: record.message
-        .map((m) => (typeof m === 'object' ? JSON.stringify(m) : m))
-        .join(' '),
-    };
-    return JSON.stringify(data);
-  }
-}
-
-class LogManager {
-  /** @type {LogManager} */ static #logManager;
-
-  /** @type {Map<string, Logger>} */ #namedLoggers = new Map();
-  /** @type {Logger} */ #rootLogger;
+export class MemoryHandler extends Handler {
+  #size;
+  #target;
+  #pushLevel;
 
-  static getLogManager() {
-    if (!LogManager.#logManager) {
-      LogManager.#logManager = new LogManager();
-    }
+  /** @type {LogRecord[]} */ #buffer = [];
+  #start = 0;
 
-    return LogManager.#logManager;
+  /**
+   * Initializes a new memory handler.
+   *
+   * @param {object} [options] The handler options.
+   * @param {number} [options.size=1000] The maximum number of buffered
+   *   records, the oldest records are dropped.
+   * @param {Handler} [options.target] The handler to push the records to.
+   * @param {Level} [options.pushLevel=Level.OFF] The level that triggers a
+   *   push to the target handler.
+   */
+  constructor({ size = 1000, target, pushLevel = Level.OFF } = {}) {
+    super();
+    this.#size = Math.max(1, size);
+    this.#target = target;
+    this.#pushLevel = pushLevel;
   }
 
-  constructor() {
-    this.#rootLogger = this.#createRootLogger();
-  }
+  /**
+   * The buffered records, the oldest first.
+   *
+   * @type {LogRecord[]}
+   * @readonly
+   */
+  get records() {
+    return [
+      ...this.#buffer.slice(this.#start),
+      ...this.#buffer.slice(0, this.#start),
+    ];
+  }
+
+  /** @override */
+  async publish(/** @type {LogRecord} */ record) {
+    if (!this.isLoggable(record)) {
+      return;
+    }
+
+    if (this.#buffer.length < this.#size) {
+      this.#buffer.push(record);
+    } else {
+      this.#buffer[this.#start] = record;
+      this.#start = (this.#start + 1) % this.#size;
+    }
+
+    if (this.#target != null && record.level >= this.#pushLevel) {
+      await this.push();
+    }
+  }
+
+  /**
+   * Pushes the buffered records to the target handler and clears the buffer.
+   */
+  async push() {
+    if (this.#target == null) {
+      return;
+    }
+
+    const records = this.records;
+    this.#buffer = [];
+    this.#start = 0;
+    await this.#target.publishAll(records);
+  }
+
+  /**
+   * Flushes the target handler, the buffer is not pushed.
+   *
+   * @override
+   */
+  async flush() {
+    await this.#target?.flush();
+  }
+
+  /** @override */
+  async close() {
+    await this.flush();
+    await this.#target?.close();
+  }
+}
+
+/**
+ * A `Handler` that collapses repeated identical log records into one summary
+ * record and publishes the others to a target handler.
+ *
+ * Records are identical if they have the same level, logger name and
+ * formatted message. The first record is published immediately. Identical
+ * records following within the time window are counted and published as one
+ * record with the summary `(repeated N times)` when a different record
+ * arrives, the window expires or the handler is flushed.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const handler = new DeduplicatingHandler(new ConsoleHandler(), {
+ *   window: 60000,
+ * });
+ * ```
+ *
+ * @extends Handler
+ */
+export class DeduplicatingHandler extends Handler {
+  #target;
+  #window;
+  #clock;
+  #timer;
+
+  /** @type {LogRecord} */ #last;
+  /** @type {string} */ #lastKey;
+  /** @type {number} */ #lastMillis;
+  #repeated = 0;
+  /** @type {TimerTask|undefined} */ #summaryTask;
+
+  /**
+   * Initializes a new deduplicating handler.
+   *
+   * @param {Handler} target The handler to publish the records to.
+   * @param {object} [options] The handler options.
+   * @param {number} [options.window=60000] The time window in milliseconds in
+   *   which identical records are collapsed.
+   * @param {Clock} [options.clock=Clock.system()] The clock to determine the
+   *   time window.
+   * @param {Timer} [options.timer] The timer to publish the summary when the
+   *   window expires, default uses the clock.
+   */
+  constructor(
+    target,
+    { window = 60000, clock = Clock.system(), timer = new Timer(clock) } = {},
+  ) {
+    super();
+    this.#target = target;
+    this.#window = window;
+    this.#clock = clock;
+    this.#timer = timer;
+  }
+
+  /**
+   * The target handler.
+   *
+   * @type {Handler}
+   * @readonly
+   */
+  get target() {
+    return this.#target;
+  }
+
+  /** @override */
+  async publish(/** @type {LogRecord} */ record) {
+    if (!this.isLoggable(record)) {
+      return;
+    }
+
+    const key = [
+      record.level,
+      record.loggerName ?? '',
+      new Formatter().formatMessage(record),
+    ].join('\n');
+    const now = this.#clock.millis();
+    if (key === this.#lastKey && now - this.#lastMillis < this.#window) {
+      this.#repeated++;
+      if (this.#summaryTask == null) {
+        this.#summaryTask = new SummaryTask(this.#publishRepeated.bind(this));
+        this.#timer.schedule(
+          this.#summaryTask,
+          new Date(this.#lastMillis + this.#window),
+        );
+      }
+      return;
+    }
+
+    await this.#publishRepeated();
+    this.#last = record;
+    this.#lastKey = key;
+    this.#lastMillis = now;
+    await this.#target.publish(record);
+  }
+
+  /**
+   * Publishes the summary of repeated records, if any, and flushes the target
+   * handler.
+   *
+   * @override
+   */
+  async flush() {
+    await this.#publishRepeated();
+    await this.#target.flush();
+  }
+
+  /** @override */
+  async close() {
+    await this.flush();
+    await this.#target.close();
+  }
+
+  async #publishRepeated() {
+    this.#summaryTask?.cancel();
+    this.#summaryTask = undefined;
+    if (this.#repeated === 0) {
+      return;
+    }
+
+    const last = this.#last;
+    const times = this.#repeated === 1 ? 'time' : 'times';
+    const summary = new LogRecord(
+      last.level,
+      `${new Formatter().formatMessage(last)} (repeated ${this.#repeated} ${times})`,
+    );
+    summary.date = this.#clock.date();
+    summary.loggerName = last.loggerName;
+    summary.fields = last.fields;
+    this.#repeated = 0;
+    await this.#target.publish(summary);
+  }
+}
+
+class SummaryTask extends TimerTask {
+  #publishRepeated;
+
+  constructor(/** @type {function(): Promise<void>} */ publishRepeated) {
+    super();
+    this.#publishRepeated = publishRepeated;
+  }
+
+  /**
+   * @override
+   */
+  run() {
+    this.#publishRepeated().catch((error) =>
+      console.error('Failed to publish repeated log records.', error),
+    );
+  }
+}
+
+/**
+ * A `Handler` that writes log messages to the console.
+ *
+ * @extends Handler
+ */
+export class ConsoleHandler extends Handler {
+  /** @override */
+  async publish(/** @type {LogRecord} */ record) {
+    if (!this.isLoggable(record)) {
+      return;
+    }
+
+    const message = this.formatter.format(record);
+    switch (record.level) {
+      case Level.ERROR:
+        console.error(message);
+        break;
+      case Level.WARNING:
+        console.warn(message);
+        break;
+      case Level.INFO:
+        console.info(message);
+        break;
+      case Level.DEBUG:
+        console.debug(message);
+        break;
+      case Level.TRACE:
+        console.trace(message);
+        break;
+    }
+
+    await Promise.resolve();
+  }
+}
+
+/**
+ * A `Handler` that sends log records in batches to a HTTP server.
+ *
+ * The records are formatted as JSON with the {@link JsonFormatter} by default
+ * and posted as JSON array. A batch is sent when the batch size is reached or
+ * the interval has passed. Failed requests are retried with exponential
+ * backoff. When the page is hidden or unloaded, the pending records are sent
+ * with `navigator.sendBeacon()`.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const handler = HttpHandler.create({ url: '/api/logs' });
+ * Logger.getLogger('').addHandler(handler);
+ * ```
+ *
+ * @extends Handler
+ */
+export class HttpHandler extends Handler {
+  /**
+   * Creates a HTTP handler.
+   *
+   * @param {object} options The handler options.
+   * @param {string|URL} options.url The URL to post the log records to.
+   * @param {number} [options.batchSize=100] The maximum number of records per
+   *   request.
+   * @param {number} [options.interval=5000] The interval in milliseconds to
+   *   send pending records, a value <= 0 disables the interval.
+   * @param {number} [options.retry=3] The number of retries of a failed
+   *   request.
+   * @param {number} [options.retryDelay=1000] The delay in milliseconds before
+   *   the first retry, doubled for each further retry.
+   * @return {HttpHandler} The new HTTP handler.
+   */
+  static create({
+    url,
+    batchSize = 100,
+    interval = 5000,
+    retry = 3,
+    retryDelay = 1000,
+  }) {
+    const navigator = globalThis.navigator;
+    return new HttpHandler(
+      url,
+      { batchSize, interval, retry, retryDelay },
+      globalThis.fetch.bind(globalThis),
+      Timer.create(),
+      navigator?.sendBeacon?.bind(navigator),
+      globalThis,
+    );
+  }
+
+  /**
+   * Creates a nulled HTTP handler.
+   *
+   * @param {object} options The handler options.
+   * @param {string|URL} [options.url='http://example.com/logs'] The URL to
+   *   post the log records to.
+   * @param {number} [options.batchSize=100] The maximum number of records per
+   *   request.
+   * @param {number} [options.retry=0] The number of retries of a failed
+   *   request.
+   * @param {object|Error|Array<object|Error>} [options.fetchResponse] The
+   *   responses of the server, an error simulates a network error.
+   * @return {HttpHandler} The new nulled HTTP handler.
+   */
+  static createNull({
+    url = 'http://example.com/logs',
+    batchSize = 100,
+    retry = 0,
+    fetchResponse = { status: 204 },
+  } = {}) {
+    return new HttpHandler(
+      url,
+      { batchSize, interval: 0, retry, retryDelay: 0 },
+      createFetchStub(fetchResponse),
+      Timer.createNull(),
+      () => true,
+      new EventTarget(),
+    );
+  }
+
+  #url;
+  #batchSize;
+  #retry;
+  #retryDelay;
+  #fetch;
+  #timer;
+  #sendBeacon;
+  #window;
+  #events = new EventTarget();
+  /** @type {string[]} */ #queue = [];
+  #pending = Promise.resolve();
+  #handlePageHide = () => this.#sendBeaconRequest();
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see HttpHandler.create
+   * @see HttpHandler.createNull
+   */
+  constructor(
+    /** @type {string|URL} */ url,
+    /**
+     * @type {{
+     *   batchSize: number,
+     *   interval: number,
+     *   retry: number,
+     *   retryDelay: number,
+     * }}
+     */ { batchSize, interval, retry, retryDelay },
+    /** @type {fetch} */ fetchFunc,
+    /** @type {Timer} */ timer,
+    /** @type {function(string|URL, Blob): boolean} */ sendBeacon,
+    /** @type {EventTarget} */ window,
+  ) {
+    super();
+    this.formatter = new JsonFormatter();
+    this.#url = url;
+    this.#batchSize = Math.max(1, batchSize);
+    this.#retry = retry;
+    this.#retryDelay = retryDelay;
+    this.#fetch = fetchFunc;
+    this.#timer = timer;
+    this.#sendBeacon = sendBeacon;
+    this.#window = window;
+
+    if (interval > 0) {
+      this.#timer.scheduleAtFixedRate(new FlushTask(this), interval, interval);
+    }
+    this.#window?.addEventListener?.('pagehide', this.#handlePageHide);
+  }
+
+  /** @override */
+  async publish(/** @type {LogRecord} */ record) {
+    if (!this.isLoggable(record)) {
+      return;
+    }
+
+    this.#queue.push(this.formatter.format(record));
+    if (this.#queue.length >= this.#batchSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Sends all pending records.
+   *
+   * @override
+   */
+  async flush() {
+    const result = this.#pending.then(() => this.#sendPending());
+    this.#pending = result;
+    await result;
+  }
+
+  /** @override */
+  async close() {
+    await this.flush();
+    this.#timer.cancel();
+    this.#window?.removeEventListener?.('pagehide', this.#handlePageHide);
+  }
+
+  /**
+   * Returns a tracker for requests sent.
+   *
+   * @return {OutputTracker} A new output tracker.
+   */
+  trackRequestsSent() {
+    return OutputTracker.create(this.#events, REQUEST_SENT_EVENT);
+  }
+
+  /**
+   * Simulates hiding the page, e.g. when the page is unloaded.
+   */
+  simulatePageHide() {
+    this.#handlePageHide();
+  }
+
+  async #sendPending() {
+    while (this.#queue.length > 0) {
+      const batch = this.#queue.splice(0, this.#batchSize);
+      await this.#send(`[${batch.join(',')}]`);
+    }
+  }
+
+  async #send(body) {
+    try {
+      await postJsonWithRetry({
+        url: this.#url,
+        body,
+        fetch: this.#fetch,
+        retry: this.#retry,
+        retryDelay: this.#retryDelay,
+        onSend: () =>
+          this.#events.dispatchEvent(
+            new CustomEvent(REQUEST_SENT_EVENT, {
+              detail: { url: this.#url, body },
+            }),
+          ),
+      });
+    } catch (error) {
+      console.error('Failed to send log records.', error);
+    }
+  }
+
+  #sendBeaconRequest() {
+    if (this.#queue.length === 0 || this.#sendBeacon == null) {
+      return;
+    }
+
+    const body = `[${this.#queue.splice(0).join(',')}]`;
+    this.#events.dispatchEvent(
+      new CustomEvent(REQUEST_SENT_EVENT, {
+        detail: { url: this.#url, body, beacon: true },
+      }),
+    );
+    this.#sendBeacon(this.#url, new Blob([body], { type: 'application/json' }));
+  }
+}
+
+class FlushTask extends TimerTask {
+  #handler;
+
+  constructor(/** @type {Handler} */ handler) {
+    super();
+    this.#handler = handler;
+  }
+
+  /**
+   * @override
+   */
+  run() {
+    this.#handler.flush();
+  }
+}
+
+function createFetchStub(response) {
+  const responses = ConfigurableResponses.create(response);
+  return async () => {
+    await sleep(0);
+    const res = responses.next();
+    if (res instanceof Error) {
+      throw res;
+    }
+
+    return new Response(res.body ?? null, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+    });
+  };
+}
+
+/**
+ * A `Handler` that sends log records to a server using a
+ * {@link WebSocketClient}.
+ *
+ * The records are formatted as JSON with the {@link JsonFormatter} by default
+ * and sent as JSON array. Records are buffered while the client is not
+ * connected. Wrap the handler with an {@link AsyncHandler} to send the records
+ * in batches.
+ *
+ * @extends Handler
+ */
+export class WebSocketHandler extends Handler {
+  #client;
+  #capacity;
+  /** @type {string[]} */ #queue = [];
+
+  /**
+   * Initializes a new WebSocket handler.
+   *
+   * @param {WebSocketClient} client The client to send the records with.
+   * @param {object} [options] The handler options.
+   * @param {number} [options.capacity=1000] The maximum number of records
+   *   buffered while the client is not connected, the oldest records are
+   *   dropped.
+   */
+  constructor(client, { capacity = 1000 } = {}) {
+    super();
+    this.formatter = new JsonFormatter();
+    this.#client = client;
+    this.#capacity = capacity;
+  }
+
+  /** @override */
+  async publish(/** @type {LogRecord} */ record) {
+    await this.publishAll([record]);
+  }
+
+  /**
+   * Sends all loggable records in one message.
+   *
+   * @override
+   */
+  async publishAll(/** @type {LogRecord[]} */ records) {
+    records
+      .filter((record) => this.isLoggable(record))
+      .forEach((record) => this.#queue.push(this.formatter.format(record)));
+    if (this.#queue.length > this.#capacity) {
+      this.#queue.splice(0, this.#queue.length - this.#capacity);
+    }
+    await this.flush();
+  }
+
+  /**
+   * Sends all buffered records if the client is connected.
+   *
+   * @override
+   */
+  async flush() {
+    if (this.#queue.length === 0 || !this.#client.isConnected) {
+      return;
+    }
+
+    const message = `[${this.#queue.splice(0).join(',')}]`;
+    await this.#client.send(message);
+  }
+}
+
+/**
+ * A `Filter` can be used to provide fine grain control over what is logged,
+ * beyond the control provided by log levels.
+ *
+ * Each {@link Logger} and each {@link Handler} can have a filter. Use a
+ * {@link CompositeFilter} to chain multiple filters.
+ */
+export class Filter {
+  /**
+   * Checks if a given log record should be published.
+   *
+   * @param {LogRecord} record The log record to check.
+   * @return {boolean} `true` if the log record should be published.
+   * @abstract
+   */
+  isLoggable(_record) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * A `Filter` that passes log records if all of its filters pass them.
+ *
+ * @extends Filter
+ */
+export class CompositeFilter extends Filter {
+  #filters;
+
+  /**
+   * Initializes a new composite filter.
+   *
+   * @param {Filter[]} filters The filters to chain.
+   */
+  constructor(filters) {
+    super();
+    this.#filters = Array.from(filters);
+  }
+
+  /** @override */
+  isLoggable(/** @type {LogRecord} */ record) {
+    return this.#filters.every((filter) => filter.isLoggable(record));
+  }
+}
+
+/**
+ * A `Filter` that passes log records by the name of their logger.
+ *
+ * A name matches a logger and all its descendants, e.g. `app` matches `app`
+ * and `app.web`, but not `application`. The empty name matches all loggers.
+ *
+ * Example:
+ *
+ * ```javascript
+ * auditHandler.filter = new LoggerNameFilter({ include: ['app.audit'] });
+ * consoleHandler.filter = new LoggerNameFilter({ exclude: ['express'] });
+ * ```
+ *
+ * @extends Filter
+ */
+export class LoggerNameFilter extends Filter {
+  #include;
+  #exclude;
+
+  /**
+   * Initializes a new logger name filter.
+   *
+   * @param {object} options The filter options.
+   * @param {string[]} [options.include] Passes only records of these loggers,
+   *   if not empty.
+   * @param {string[]} [options.exclude] Does not pass records of these loggers.
+   */
+  constructor({ include = [], exclude = [] } = {}) {
+    super();
+    this.#include = include;
+    this.#exclude = exclude;
+  }
+
+  /** @override */
+  isLoggable(/** @type {LogRecord} */ record) {
+    const name = record.loggerName ?? '';
+    if (
+      this.#include.length > 0 &&
+      !this.#include.some((prefix) => matchesLoggerName(name, prefix))
+    ) {
+      return false;
+    }
+
+    return !this.#exclude.some((prefix) => matchesLoggerName(name, prefix));
+  }
+}
+
+function matchesLoggerName(name, prefix) {
+  return prefix === '' || name === prefix || name.startsWith(prefix + '.');
+}
+
+/**
+ * A `Filter` that passes log records by a regular expression on their
+ * formatted message.
+ *
+ * @extends Filter
+ */
+export class MessageFilter extends Filter {
+  #include;
+  #exclude;
+
+  /**
+   * Initializes a new message filter.
+   *
+   * @param {object} options The filter options.
+   * @param {RegExp} [options.include] Passes only records with a matching
+   *   message.
+   * @param {RegExp} [options.exclude] Does not pass records with a matching
+   *   message.
+   */
+  constructor({ include, exclude } = {}) {
+    super();
+    this.#include = include;
+    this.#exclude = exclude;
+  }
+
+  /** @override */
+  isLoggable(/** @type {LogRecord} */ record) {
+    const message = new Formatter().formatMessage(record);
+    if (this.#include != null && !matches(this.#include, message)) {
+      return false;
+    }
+
+    return this.#exclude == null || !matches(this.#exclude, message);
+  }
+}
+
+function matches(/** @type {RegExp} */ regex, /** @type {string} */ text) {
+  // Reset state of global and sticky regular expressions.
+  regex.lastIndex = 0;
+  return regex.test(text);
+}
+
+/**
+ * A `Filter` that passes a random sample of log records.
+ *
+ * @extends Filter
+ */
+export class SamplingFilter extends Filter {
+  #rate;
+  #random;
+
+  /**
+   * Initializes a new sampling filter.
+   *
+   * @param {number} rate The rate of passed records between 0 (none) and 1
+   *   (all).
+   * @param {function(): number} [random=Math.random] Returns a random number
+   *   between 0 (inclusive) and 1 (exclusive).
+   */
+  constructor(rate, random = Math.random) {
+    super();
+    this.#rate = rate;
+    this.#random = random;
+  }
+
+  /** @override */
+  isLoggable(/** @type {LogRecord} */ _record) {
+    return this.#random() < this.#rate;
+  }
+}
+
+/**
+ * A `Filter` that limits the rate of log records per logger with a token
+ * bucket.
+ *
+ * Each logger has its own bucket holding up to `limit` tokens. A record takes
+ * one token and is not passed if the bucket is empty. The bucket is refilled
+ * with `limit` tokens per `interval`.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const log = Logger.getLogger('app.client');
+ * log.filter = new RateLimitFilter({ limit: 10, interval: 60000 });
+ * ```
+ *
+ * @extends Filter
+ */
+export class RateLimitFilter extends Filter {
+  #limit;
+  #interval;
+  #clock;
+
+  /** @type {Map<string, {tokens: number, millis: number}>} */
+  #buckets = new Map();
+
+  /**
+   * Initializes a new rate limit filter.
+   *
+   * @param {object} [options] The filter options.
+   * @param {number} [options.limit=10] The maximum number of records passed
+   *   at once.
+   * @param {number} [options.interval=1000] The time in milliseconds to refill
+   *   the bucket completely.
+   * @param {Clock} [options.clock=Clock.system()] The clock to refill the
+   *   bucket.
+   */
+  constructor({ limit = 10, interval = 1000, clock = Clock.system() } = {}) {
+    super();
+    this.#limit = limit;
+    this.#interval = interval;
+    this.#clock = clock;
+  }
+
+  /** @override */
+  isLoggable(/** @type {LogRecord} */ record) {
+    const name = record.loggerName ?? '';
+    const now = this.#clock.millis();
+    let bucket = this.#buckets.get(name);
+    if (bucket == null) {
+      bucket = { tokens: this.#limit, millis: now };
+      this.#buckets.set(name, bucket);
+    }
+
+    const refill = ((now - bucket.millis) / this.#interval) * this.#limit;
+    bucket.tokens = Math.min(this.#limit, bucket.tokens + refill);
+    bucket.millis = now;
+    if (bucket.tokens < 1) {
+      return false;
+    }
+
+    bucket.tokens--;
+    return true;
+  }
+}
+
+/**
+ * A `Filter` that passes log records by a custom predicate.
+ *
+ * @extends Filter
+ */
+export class PredicateFilter extends Filter {
+  #predicate;
+
+  /**
+   * Initializes a new predicate filter.
+   *
+   * @param {function(LogRecord): boolean} predicate Returns `true` if the log
+   *   record should be published.
+   */
+  constructor(predicate) {
+    super();
+    this.#predicate = predicate;
+  }
+
+  /** @override */
+  isLoggable(/** @type {LogRecord} */ record) {
+    return this.#predicate(record);
+  }
+}
+
+/**
+ * A `Formatter` provides support for formatting log records.
+ */
+export class Formatter {
+  /**
+   * Formats the given log record and return the formatted string.
+   *
+   * @param {LogRecord} record The log record to format.
+   * @return {string} The formatted log record.
+   * @abstract
+   */
+  format(_record) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Formats the message of a log record.
+   *
+   * If the first value is a string, it is used as format string for the
+   * following values. Supported placeholders are `{}` and the printf-style
+   * `%s`, `%d`, `%i`, `%f`, `%j`, `%o`, `%O` and `%%`.
+   *
+   * The remaining values of the message are separated by a space. Objects and
+   * arrays are stringified as JSON, errors are written as `name: message`.
+   *
+   * @param {LogRecord} record The log record to format.
+   * @return {string} The formatted message.
+   */
+  formatMessage(record) {
+    const [format, ...args] = record.message;
+    if (typeof format !== 'string' || args.length === 0) {
+      return record.message.map(formatValue).join(' ');
+    }
+
+    let index = 0;
+    const text = format.replace(/%[sdifjoO%]|\{\}/g, (placeholder) => {
+      if (placeholder === '%%') {
+        return '%';
+      }
+
+      if (index >= args.length) {
+        return placeholder;
+      }
+
+      return formatPlaceholder(placeholder, args[index++]);
+    });
+    return [text, ...args.slice(index).map(formatValue)].join(' ');
+  }
+}
+
+/**
+ * Print a brief summary of the `LogRecord` in a human readable format.
+ *
+ * Errors of the message are written with stack trace, cause and aggregated
+ * errors in the following lines.
+ *
+ * @implements {Formatter}
+ */
+export class SimpleFormatter extends Formatter {
+  /** @override  */
+  format(/** @type {LogRecord} */ record) {
+    let s = record.date.toISOString();
+    if (record.loggerName) {
+      s += ' [' + record.loggerName + ']';
+    }
+    s += ' ' + record.level.toString();
+    s += ' - ' + this.formatMessage(record);
+    for (const error of record.message.filter((m) => m instanceof Error)) {
+      s += '\n' + formatStackTrace(error);
+    }
+    return s;
+  }
+}
+
+/**
+ * Format a `LogRecord` into a JSON object.
+ *
+ * The JSON object has the following properties:
+ * - `date`: string
+ * - `millis`: number
+ * - `sequence`: number
+ * - `logger`: string (optional)
+ * - `level`: string
+ * - `message`: string
+ * - `error`: object (optional) with `name`, `message`, `stack`, `cause` and
+ *   `errors` of the first error in the message.
+ *
+ * The fields of the log record are added as additional properties. They do not
+ * override the properties above.
+ *
+ * @implements {Formatter}
+ */
+export class JsonFormatter extends Formatter {
+  /** @override  */
+  format(/** @type {LogRecord} */ record) {
+    const data = {
+      date: record.date.toISOString(),
+      millis: record.millis,
+      sequence: record.sequenceNumber,
+      logger: record.loggerName,
+      level: record.level.toString(),
+      message: this.formatMessage(record),
+    };
+    const error = record.message.find((m) => m instanceof Error);
+    if (error != null) {
+      data.error = serializeError(error);
+    }
+    for (const [key, value] of Object.entries(record.fields ?? {})) {
+      if (!(key in data)) {
+        data[key] = value;
+      }
+    }
+    return JSON.stringify(data);
+  }
+}
+
+/**
+ * Format a `LogRecord` with a layout string like Logback's `PatternLayout`.
+ *
+ * Supported conversions:
+ * - `%d{pattern[, timeZone]}`, `%date`: the date of the record, formatted with
+ *   `yyyy`, `yy`, `MM`, `dd`, `HH`, `mm`, `ss` and `SSS` in the local time zone
+ *   or the given IANA time zone, default is `yyyy-MM-dd HH:mm:ss.SSS`.
+ * - `%level`, `%p`: the level.
+ * - `%logger{length}`, `%c`: the logger name, leading segments are abbreviated
+ *   to fit the length, e.g. `a.w.api`. Length `0` keeps the last segment.
+ * - `%msg`, `%m`, `%message`: the formatted message.
+ * - `%sn`, `%sequenceNumber`: the sequence number.
+ * - `%X{key}`, `%mdc`: the value of a field or all fields as `key=value`.
+ * - `%ex`, `%exception`: the stack traces of the errors in the message on the
+ *   following lines.
+ * - `%n`: a line break, `%%`: a percent sign.
+ *
+ * A conversion can have a minimum width, e.g. `%7level` pads on the left,
+ * `%-7level` pads on the right, and a maximum width, e.g. `%.1level` truncates
+ * at the end.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const formatter = new PatternFormatter(
+ *   '%d{HH:mm:ss.SSS} %-7level [%logger{20}] %msg%n',
+ *   { color: process.stdout.isTTY },
+ * );
+ * ```
+ *
+ * @implements {Formatter}
+ */
+export class PatternFormatter extends Formatter {
+  #elements;
+  #color;
+
+  /**
+   * Initializes a new pattern formatter.
+   *
+   * @param {string} [pattern='%d %-7level [%logger] %msg%ex'] The layout.
+   * @param {object} [options] The formatter options.
+   * @param {boolean} [options.color=false] Colors the level with ANSI escape
+   *   codes.
+   */
+  constructor(
+    pattern = '%d %-7level [%logger] %msg%ex',
+    { color = false } = {},
+  ) {
+    super();
+    this.#elements = parsePattern(pattern);
+    this.#color = color;
+  }
+
+  /** @override  */
+  format(/** @type {LogRecord} */ record) {
+    return this.#elements
+      .map((element) =>
+        typeof element === 'string' ? element : this.#convert(element, record),
+      )
+      .join('');
+  }
+
+  #convert(element, /** @type {LogRecord} */ record) {
+    let text = element.convert(record, this);
+    if (element.maxWidth != null && text.length > element.maxWidth) {
+      text = text.substring(0, element.maxWidth);
+    }
+    if (element.minWidth != null) {
+      text = element.leftAlign
+        ? text.padEnd(element.minWidth)
+        : text.padStart(element.minWidth);
+    }
+    if (this.#color && element.colored && LEVEL_COLORS.has(record.level)) {
+      text = `${LEVEL_COLORS.get(record.level)}${text}\x1b[0m`;
+    }
+    return text;
+  }
+}
+
+const LEVEL_COLORS = new Map([
+  [Level.ERROR, '\x1b[31m'],
+  [Level.WARNING, '\x1b[33m'],
+  [Level.INFO, '\x1b[32m'],
+  [Level.DEBUG, '\x1b[36m'],
+  [Level.TRACE, '\x1b[90m'],
+]);
+
+/**
+ * Maps conversion names to factories taking the option and returning a
+ * function converting a record with a formatter to text.
+ *
+ * @type {Record<string, function(string|undefined): function(LogRecord, Formatter): string>}
+ */
+const PATTERN_CONVERTERS = {
+  d: createDateConverter,
+  date: createDateConverter,
+  level: () => (record) => record.level.toString(),
+  p: () => (record) => record.level.toString(),
+  logger: (option) => (record) =>
+    abbreviateLoggerName(record.loggerName ?? '', option),
+  c: (option) => (record) =>
+    abbreviateLoggerName(record.loggerName ?? '', option),
+  msg: () => (record, formatter) => formatter.formatMessage(record),
+  m: () => (record, formatter) => formatter.formatMessage(record),
+  message: () => (record, formatter) => formatter.formatMessage(record),
+  sn: () => (record) => String(record.sequenceNumber),
+  sequenceNumber: () => (record) => String(record.sequenceNumber),
+  X: createFieldsConverter,
+  mdc: createFieldsConverter,
+  ex: () => formatErrors,
+  exception: () => formatErrors,
+  n: () => () => '\n',
+};
+
+function parsePattern(/** @type {string} */ pattern) {
+  const elements = [];
+  const regex = /%(-)?(\d+)?(?:\.(\d+))?([a-zA-Z]+|%)(?:\{([^}]*)\})?/g;
+  let index = 0;
+  for (const match of pattern.matchAll(regex)) {
+    const [conversion, leftAlign, minWidth, maxWidth, name, option] = match;
+    if (match.index > index) {
+      elements.push(pattern.substring(index, match.index));
+    }
+    index = match.index + conversion.length;
+    if (name === '%') {
+      elements.push('%');
+      continue;
+    }
+
+    const createConverter = Object.hasOwn(PATTERN_CONVERTERS, name)
+      ? PATTERN_CONVERTERS[name]
+      : undefined;
+    if (createConverter == null) {
+      throw new Error(`Bad conversion "%${name}".`);
+    }
+
+    elements.push({
+      convert: createConverter(option?.trim()),
+      leftAlign: leftAlign != null,
+      minWidth: minWidth != null ? Number(minWidth) : undefined,
+      maxWidth: maxWidth != null ? Number(maxWidth) : undefined,
+      colored: name === 'level' || name === 'p',
+    });
+  }
+  if (index < pattern.length) {
+    elements.push(pattern.substring(index));
+  }
+  return elements;
+}
+
+function createDateConverter(option) {
+  const [pattern = 'yyyy-MM-dd HH:mm:ss.SSS', timeZone] = (option ?? '')
+    .split(',')
+    .map((s) => s.trim())
+    .map((s) => (s === '' ? undefined : s));
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  });
+  return (/** @type {LogRecord} */ record) => {
+    const parts = Object.fromEntries(
+      format.formatToParts(record.date).map((p) => [p.type, p.value]),
+    );
+    const millis = String(record.date.getMilliseconds()).padStart(3, '0');
+    return pattern.replace(/yyyy|yy|MM|dd|HH|mm|ss|SSS/g, (token) => {
+      switch (token) {
+        case 'yyyy':
+          return parts.year;
+        case 'yy':
+          return parts.year.slice(-2);
+        case 'MM':
+          return parts.month;
+        case 'dd':
+          return parts.day;
+        case 'HH':
+          return parts.hour;
+        case 'mm':
+          return parts.minute;
+        case 'ss':
+          return parts.second;
+        default:
+          return millis;
+      }
+    });
+  };
+}
+
+function createFieldsConverter(key) {
+  return (/** @type {LogRecord} */ record) => {
+    const fields = record.fields ?? {};
+    if (key != null) {
+      return fields[key] == null ? '' : String(formatValue(fields[key]));
+    }
+
+    return Object.entries(fields)
+      .map(([k, v]) => `${k}=${formatValue(v)}`)
+      .join(', ');
+  };
+}
+
+function formatErrors(/** @type {LogRecord} */ record) {
+  return record.message
+    .filter((m) => m instanceof Error)
+    .map((error) => '\n' + formatStackTrace(error))
+    .join('');
+}
+
+function abbreviateLoggerName(/** @type {string} */ name, length) {
+  if (length == null || name.length <= Number(length)) {
+    return name;
+  }
+
+  const segments = name.split('.');
+  if (Number(length) === 0) {
+    return segments[segments.length - 1];
+  }
+
+  for (
+    let i = 0;
+    i < segments.length - 1 && segments.join('.').length > Number(length);
+    i++
+  ) {
+    segments[i] = segments[i].charAt(0);
+  }
+  return segments.join('.');
+}
+
+/**
+ * Format a `LogRecord` as logfmt line.
+ *
+ * The line has the keys `time`, `level`, `logger` (optional), `msg` and
+ * `error` (optional) followed by the fields of the log record. Values
+ * containing spaces, quotes, equal signs or line breaks are quoted. Objects are
+ * stringified as JSON.
+ *
+ * Example: `time=2024-07-02T09:38:00.000Z level=info logger=app msg="User
+ * logged in" userId=42`
+ *
+ * @implements {Formatter}
+ */
+export class LogfmtFormatter extends Formatter {
+  /** @override  */
+  format(/** @type {LogRecord} */ record) {
+    const data = {
+      time: record.date.toISOString(),
+      level: record.level.name.toLowerCase(),
+      logger: record.loggerName,
+      msg: this.formatMessage(record),
+    };
+    const error = record.message.find((m) => m instanceof Error);
+    if (error != null) {
+      data.error = String(error);
+    }
+    for (const [key, value] of Object.entries(record.fields ?? {})) {
+      if (!(key in data)) {
+        data[key] = value;
+      }
+    }
+    return Object.entries(data)
+      .filter(([, value]) => value != null)
+      .map(([key, value]) => `${key}=${formatLogfmtValue(value)}`)
+      .join(' ');
+  }
+}
+
+function formatLogfmtValue(value) {
+  const s = String(formatValue(value));
+  if (s !== '' && !/[\s"=\\]/.test(s)) {
+    return s;
+  }
+
+  const escaped = s
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
+}
+
+/**
+ * Format a `LogRecord` as JSON object in the
+ * [Elastic Common Schema](https://www.elastic.co/guide/en/ecs-logging/overview/current/intro.html)
+ * (ECS).
+ *
+ * The JSON object has the following properties:
+ * - `@timestamp`: string
+ * - `log.level`: string, lower case
+ * - `log.logger`: string (optional)
+ * - `message`: string
+ * - `ecs.version`: string
+ * - `trace.id`, `span.id`: string (optional) from the fields `traceId` or
+ *   `trace_id` and `spanId` or `span_id`
+ * - `error.type`, `error.message`, `error.stack_trace`: string (optional) of
+ *   the first error in the message
+ *
+ * The other fields of the log record are added as additional properties.
+ *
+ * @implements {Formatter}
+ */
+export class EcsFormatter extends Formatter {
+  /** @override  */
+  format(/** @type {LogRecord} */ record) {
+    const { traceId, spanId, fields } = extractTraceContext(record.fields);
+    const data = {
+      '@timestamp': record.date.toISOString(),
+      'log.level': record.level.name.toLowerCase(),
+      'log.logger': record.loggerName ?? undefined,
+      message: this.formatMessage(record),
+      'ecs.version': '8.11.0',
+      'trace.id': traceId,
+      'span.id': spanId,
+    };
+    const error = record.message.find((m) => m instanceof Error);
+    if (error != null) {
+      data['error.type'] = error.name;
+      data['error.message'] = error.message;
+      data['error.stack_trace'] = formatStackTrace(error);
+    }
+    for (const [key, value] of Object.entries(fields)) {
+      if (!(key in data)) {
+        data[key] = value;
+      }
+    }
+    return JSON.stringify(data);
+  }
+}
+
+/**
+ * Format a `LogRecord` as JSON object following the
+ * [OpenTelemetry log data model](https://opentelemetry.io/docs/specs/otel/logs/data-model/).
+ *
+ * The JSON object has the following properties:
+ * - `timestamp`: string
+ * - `severity_text`: string
+ * - `severity_number`: number, e.g. 9 for `INFO`
+ * - `body`: string
+ * - `trace_id`, `span_id`: string (optional) from the fields `traceId` or
+ *   `trace_id` and `spanId` or `span_id`
+ * - `instrumentation_scope`: object (optional) with the logger `name`
+ * - `attributes`: object with the other fields and `exception.type`,
+ *   `exception.message` and `exception.stacktrace` of the first error in the
+ *   message
+ *
+ * @implements {Formatter}
+ */
+export class OtelFormatter extends Formatter {
+  /** @override  */
+  format(/** @type {LogRecord} */ record) {
+    const { traceId, spanId, fields } = extractTraceContext(record.fields);
+    const attributes = { ...fields };
+    const error = record.message.find((m) => m instanceof Error);
+    if (error != null) {
+      attributes['exception.type'] = error.name;
+      attributes['exception.message'] = error.message;
+      attributes['exception.stacktrace'] = formatStackTrace(error);
+    }
+    return JSON.stringify({
+      timestamp: record.date.toISOString(),
+      severity_text: record.level.name,
+      severity_number: OTEL_SEVERITY_NUMBERS.get(record.level) ?? 0,
+      body: this.formatMessage(record),
+      trace_id: traceId,
+      span_id: spanId,
+      instrumentation_scope: record.loggerName
+        ? { name: record.loggerName }
+        : undefined,
+      attributes,
+    });
+  }
+}
+
+const OTEL_SEVERITY_NUMBERS = new Map([
+  [Level.TRACE, 1],
+  [Level.DEBUG, 5],
+  [Level.INFO, 9],
+  [Level.WARNING, 13],
+  [Level.ERROR, 17],
+]);
+
+function extractTraceContext(
+  /** @type {Record<string, *>|undefined} */ {
+    traceId,
+    trace_id,
+    spanId,
+    span_id,
+    ...fields
+  } = {},
+) {
+  return { traceId: traceId ?? trace_id, spanId: spanId ?? span_id, fields };
+}
+
+function formatValue(value) {
+  if (value instanceof Error) {
+    return String(value);
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return value;
+}
 
-  demandLogger(/** @type {string} */ name) {
+function formatPlaceholder(placeholder, value) {
+  switch (placeholder) {
+    case '%d':
+      return String(Number(value));
+    case '%i':
+      return String(parseInt(value));
+    case '%f':
+      return String(parseFloat(value));
+    case '%j':
+    case '%o':
+    case '%O':
+      return JSON.stringify(value);
+    default:
+      return String(formatValue(value));
+  }
+}
+
+function formatStackTrace(error, indent = '', seen = new Set()) {
+  if (!(error instanceof Error)) {
+    return indent + formatValue(error);
+  }
+
+  if (seen.has(error)) {
+    return `${indent}[Circular ${String(error)}]`;
+  }
+
+  seen.add(error);
+  let s = (error.stack ?? String(error))
+    .split('\n')
+    .map((line) => indent + line)
+    .join('\n');
+  if (error instanceof AggregateError) {
+    error.errors.forEach((e, index) => {
+      s += `\n${indent}  [${index}]: `;
+      s += formatStackTrace(e, indent + '  ', seen).trimStart();
+    });
+  }
+  if (error.cause !== undefined) {
+    s += `\n${indent}Caused by: `;
+    s += formatStackTrace(error.cause, indent, seen).trimStart();
+  }
+  return s;
+}
+
+function serializeError(error, seen = new Set()) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+
+  if (seen.has(error)) {
+    return { name: error.name, message: error.message };
+  }
+
+  seen.add(error);
+  const data = { name: error.name, message: error.message, stack: error.stack };
+  // @ts-ignore NodeJS error code
+  if (error.code !== undefined) {
+    // @ts-ignore NodeJS error code
+    data.code = error.code;
+  }
+  if (error.cause !== undefined) {
+    data.cause = serializeError(error.cause, seen);
+  }
+  if (error instanceof AggregateError) {
+    data.errors = error.errors.map((e) => serializeError(e, seen));
+  }
+  return data;
+}
+
+/**
+ * A global object that maintains the hierarchy of named loggers.
+ *
+ * Logger names are separated by dots, e.g. `app.web.api`. A logger inherits
+ * the level and handlers of its nearest existing ancestor, e.g. `app.web` or
+ * `app`, and finally the root logger with the empty name `""`.
+ */
+export class LogManager {
+  /** @type {LogManager} */ static #logManager;
+
+  /** @type {Map<string, function(object): Handler>} */
+  static #handlerFactories = new Map([['console', () => new ConsoleHandler()]]);
+
+  /** @type {Map<string, function(object, {handler: string}): Formatter>} */
+  static #formatterFactories = new Map([
+    ['simple', () => new SimpleFormatter()],
+    ['json', () => new JsonFormatter()],
+    ['logfmt', () => new LogfmtFormatter()],
+    ['ecs', () => new EcsFormatter()],
+    ['otel', () => new OtelFormatter()],
+    [
+      'pattern',
+      // Only the console handler colors the level, a file contains no escape
+      // sequences.
+      (
+        { pattern, color = globalThis.process?.stdout?.isTTY === true },
+        { handler },
+      ) =>
+        new PatternFormatter(pattern, {
+          color: handler === 'console' && color,
+        }),
+    ],
+  ]);
+
+  /** @type {Map<string, Logger>} */ #namedLoggers = new Map();
+  /** @type {Logger} */ #rootLogger;
+  /** @type {Handler[]} */ #configuredHandlers = [];
+
+  /**
+   * Returns the global log manager.
+   *
+   * @return {LogManager} The log manager.
+   */
+  static getLogManager() {
+    if (!LogManager.#logManager) {
+      LogManager.#logManager = new LogManager();
+      // Flush buffered handlers before Node.js exits. Browser handlers take
+      // care of page unload themselves.
+      globalThis.process?.once?.('beforeExit', () =>
+        LogManager.#logManager
+          .close()
+          .catch((error) => console.error('Failed to close handlers.', error)),
+      );
+    }
+
+    return LogManager.#logManager;
+  }
+
+  /**
+   * Configures the global log manager.
+   *
+   * Can be called again at runtime, e.g. when the configuration file has
+   * changed, to reconfigure the logging.
+   *
+   * Example:
+   *
+   * ```javascript
+   * const configuration = ConfigurationProperties.create({ prefix: 'logging' });
+   * LogManager.configure(LoggingConfiguration.fromObject(await configuration.get()));
+   * ```
+   *
+   * @param {LoggingConfiguration} configuration The configuration to apply.
+   * @see LogManager#readConfiguration
+   */
+  static configure(configuration) {
+    LogManager.getLogManager().readConfiguration(configuration);
+  }
+
+  /**
+   * Registers a factory for a handler type used by a logging configuration.
+   *
+   * The Node.js module registers the type `file`.
+   *
+   * @param {string} type The handler type, e.g. `file`.
+   * @param {function(object): Handler} factory Creates the handler from the
+   *   handler configuration.
+   */
+  static registerHandlerFactory(type, factory) {
+    LogManager.#handlerFactories.set(type, factory);
+  }
+
+  /**
+   * Registers a factory for a formatter used by a logging configuration.
+   *
+   * @param {string} name The formatter name, e.g. `json`.
+   * @param {function(object, {handler: string}): Formatter} factory Creates
+   *   the formatter from the formatter configuration and the type of the
+   *   handler using the formatter.
+   */
+  static registerFormatterFactory(name, factory) {
+    LogManager.#formatterFactories.set(name, factory);
+  }
+
+  /**
+   * The constructor is for internal use. Use the factory method instead.
+   *
+   * @see LogManager.getLogManager
+   */
+  constructor() {
+    this.#rootLogger = this.#createRootLogger();
+  }
+
+  /**
+   * Finds or creates a logger with the given name.
+   *
+   * @param {string} name The name of the logger.
+   * @return {Logger} The logger.
+   */
+  demandLogger(name) {
     let logger = this.getLogger(name);
     if (logger == null) {
       logger = this.#createLogger(name);
@@ -597,29 +2502,181 @@ class LogManager {
     return logger;
   }
 
-  addLogger(/** @type {Logger} */ logger) {
+  /**
+   * Adds a named logger.
+   *
+   * @param {Logger} logger The logger to add.
+   */
+  addLogger(logger) {
     const loggerName = logger.name;
     this.#namedLoggers.set(loggerName, logger);
   }
 
-  getLogger(/** @type {string} */ name) {
+  /**
+   * Finds a named logger.
+   *
+   * @param {string} name The name of the logger.
+   * @return {Logger|undefined} The logger or `undefined` if not found.
+   */
+  getLogger(name) {
     return this.#namedLoggers.get(name);
   }
 
+  /**
+   * Returns the names of all known loggers.
+   *
+   * @return {string[]} The logger names, the root logger has the empty name.
+   */
+  getLoggerNames() {
+    return Array.from(this.#namedLoggers.keys());
+  }
+
+  /**
+   * Resets the logging configuration.
+   *
+   * Removes and closes the handlers created by the log manager and removes
+   * levels of all loggers. Handlers added by the application, e.g. a
+   * {@link MemoryHandler}, are kept. The level of the root logger is set to
+   * `INFO`.
+   */
+  reset() {
+    for (const logger of this.#namedLoggers.values()) {
+      for (const handler of logger.getHandlers()) {
+        if (!this.#configuredHandlers.includes(handler)) {
+          continue;
+        }
+
+        logger.removeHandler(handler);
+        handler
+          .close()
+          .catch((error) => console.error('Failed to close handler.', error));
+      }
+      logger.level = undefined;
+      logger.useParentHandlers = true;
+    }
+    this.#configuredHandlers = [];
+    this.#rootLogger.level = Level.INFO;
+  }
+
+  /**
+   * Flushes the handlers of all loggers.
+   */
+  async flush() {
+    await Promise.all(this.#getAllHandlers().map((handler) => handler.flush()));
+  }
+
+  /**
+   * Flushes and closes the handlers of all loggers.
+   *
+   * Is called before the Node.js process exits when its event loop is empty.
+   * The library does not handle signals or `process.exit()`, so call it in the
+   * shutdown hook of your application before exiting:
+   *
+   * ```javascript
+   * process.once('SIGTERM', async () => {
+   *   server.close();
+   *   await LogManager.getLogManager().close();
+   *   process.exit(0);
+   * });
+   * ```
+   */
+  async close() {
+    await Promise.all(this.#getAllHandlers().map((handler) => handler.close()));
+  }
+
+  #getAllHandlers() {
+    return Array.from(this.#namedLoggers.values()).flatMap((logger) =>
+      logger.getHandlers(),
+    );
+  }
+
+  /**
+   * Resets the logging and applies a logging configuration.
+   *
+   * Creates the handlers for the root logger and sets the levels per logger.
+   *
+   * @param {LoggingConfiguration} configuration The configuration to apply.
+   */
+  readConfiguration(configuration) {
+    const handlers = [];
+    if (configuration.console?.enabled !== false) {
+      handlers.push(this.#createHandler('console', configuration.console));
+    }
+    if (configuration.file != null && configuration.file.enabled !== false) {
+      handlers.push(this.#createHandler('file', configuration.file));
+    }
+
+    this.reset();
+    handlers.forEach((handler) => this.#rootLogger.addHandler(handler));
+    this.#configuredHandlers = handlers;
+    for (const [name, level] of Object.entries(configuration.level ?? {})) {
+      const logger = this.demandLogger(name === 'root' ? '' : name);
+      logger.level = level;
+    }
+  }
+
+  #createHandler(type, configuration = {}) {
+    const createHandler = LogManager.#handlerFactories.get(type);
+    if (createHandler == null) {
+      throw new Error(`Unknown handler type "${type}".`);
+    }
+
+    const handler = createHandler(configuration);
+    handler.level = configuration.level ?? Level.ALL;
+    handler.formatter = this.#createFormatter(configuration.formatter, type);
+    return handler;
+  }
+
+  #createFormatter(configuration = 'simple', /** @type {string} */ handler) {
+    if (typeof configuration === 'string') {
+      configuration = { name: configuration };
+    }
+    const createFormatter = LogManager.#formatterFactories.get(
+      configuration.name,
+    );
+    if (createFormatter == null) {
+      throw new Error(`Unknown formatter "${configuration.name}".`);
+    }
+
+    return createFormatter(configuration, { handler });
+  }
+
   #createRootLogger() {
     const logger = new Logger('');
     logger.level = Level.INFO;
     const handler = new ConsoleHandler();
     handler.formatter = new SimpleFormatter();
     logger.addHandler(handler);
+    this.#configuredHandlers.push(handler);
     this.addLogger(logger);
     return logger;
   }
 
   #createLogger(/** @type {string} */ name) {
     const logger = new Logger(name);
-    logger.parent = this.#rootLogger;
+    logger.parent = this.#findParent(name);
+    for (const child of this.#namedLoggers.values()) {
+      if (
+        child.name.startsWith(name + '.') &&
+        child.parent.name.length < name.length
+      ) {
+        child.parent = logger;
+      }
+    }
     this.addLogger(logger);
     return logger;
   }
+
+  #findParent(/** @type {string} */ name) {
+    let index = name.lastIndexOf('.');
+    while (index > 0) {
+      const parent = this.getLogger(name.substring(0, index));
+      if (parent != null) {
+        return parent;
+      }
+
+      index = name.lastIndexOf('.', index - 1);
+    }
+    return this.#rootLogger;
+  }
 }
@@ -9,39 +9,407 @@
  * @module
  */
 
-import { Enum } from './lang.js';
+/**
+ * @import { LogRecord } from './logging.js'
+ */
+
+import { ConfigurableResponses } from './configurable-responses.js';
+import { Enum, sleep } from './lang.js';
+import { Handler, Level } from './logging.js';
+import { OutputTracker } from './output-tracker.js';
+import { StopWatch } from './stop-watch.js';
+import { Clock, Duration } from './time.js';
+import { postJsonWithRetry, Timer, TimerTask } from './util.js';
 
-// TODO Create gauges (can increment and decrement)
-// TODO Create timers (total time, average time and count)
-// TODO Publish metrics to a server via HTTP
-// TODO Provide metrics for Prometheus
+const REQUEST_SENT_EVENT = 'request-sent';
+
+/**
+ * The tags of a meter as key/value pairs, e.g. `{ method: 'GET' }`.
+ *
+ * @typedef {Record<string, string>} Tags
+ */
 
 export class MeterRegistry {
-  static create() {
-    return new MeterRegistry();
+  /**
+   * @param {object} [options]
+   * @param {Clock} [options.clock=Clock.system()]
+   * @param {Tags} [options.commonTags] The tags added to all meters, e.g. the
+   *   application name and instance.
+   */
+  static create({ clock = Clock.system(), commonTags } = {}) {
+    const registry = new MeterRegistry(clock);
+    if (commonTags != null) {
+      registry.commonTags(commonTags);
+    }
+    return registry;
   }
 
   #meters = [];
+  #clock;
+  /** @type {MeterFilter[]} */ #filters = [];
+
+  constructor(/** @type {Clock} */ clock = Clock.system()) {
+    this.#clock = clock;
+  }
 
   get meters() {
     return this.#meters;
   }
 
+  /**
+   * Adds tags to all meters registered afterwards.
+   *
+   * Tags of the meter take precedence over common tags with the same key.
+   *
+   * @param {Tags} tags
+   */
+  commonTags(tags) {
+    this.meterFilter(MeterFilter.commonTags(tags));
+  }
+
+  /**
+   * Adds a filter applied to all meters registered afterwards.
+   *
+   * @param {MeterFilter} filter
+   */
+  meterFilter(filter) {
+    this.#filters.push(filter);
+  }
+
+  /**
+   * Returns the counter with the name and tags, creates it if necessary.
+   *
+   * @return {Counter}
+   */
   counter(name, tags) {
-    const id = MeterId.create({ name, tags, type: MeterType.COUNTER });
-    /** @type {Counter} */ let meter = this.#meters.find((meter) =>
-      meter.id.equals(id),
+    return this.#register(
+      MeterId.create({ name, tags, type: MeterType.COUNTER }),
+      (id) => new Counter(id),
     );
-    if (!meter) {
-      meter = new Counter(id);
-      this.#meters.push(meter);
+  }
+
+  /**
+   * Returns the gauge with the name and tags, creates it if necessary.
+   *
+   * The supplier is called every time the value of the gauge is read.
+   *
+   * @param {string} name
+   * @param {Tags} tags
+   * @param {function(): number} supplier
+   * @return {Gauge}
+   */
+  gauge(name, tags, supplier) {
+    return this.#register(
+      MeterId.create({ name, tags, type: MeterType.GAUGE }),
+      (id) => new Gauge(id, supplier),
+    );
+  }
+
+  /**
+   * Returns the timer with the name and tags, creates it if necessary.
+   *
+   * @param {string} name
+   * @param {Tags} [tags]
+   * @param {DistributionOptions} [options]
+   * @return {TimerMeter}
+   */
+  timer(name, tags, options) {
+    return this.#register(
+      MeterId.create({ name, tags, type: MeterType.TIMER }),
+      (id) => new TimerMeter(id, { ...options, clock: this.#clock }),
+    );
+  }
+
+  /**
+   * Returns the distribution summary with the name and tags, creates it if
+   * necessary.
+   *
+   * @param {string} name
+   * @param {Tags} [tags]
+   * @param {DistributionOptions} [options]
+   * @return {DistributionSummary}
+   */
+  summary(name, tags, options) {
+    return this.#register(
+      MeterId.create({ name, tags, type: MeterType.DISTRIBUTION_SUMMARY }),
+      (id) => new DistributionSummary(id, options),
+    );
+  }
+
+  #register(/** @type {MeterId} */ id, createMeter) {
+    id = this.#filters.reduce((mapped, filter) => filter.map(mapped), id);
+    let meter = this.#meters.find((meter) => meter.id.equals(id));
+    if (meter != null) {
+      return meter;
     }
 
-    // TODO validate found meter is a counter
+    const conflict = this.#meters.find(
+      (meter) => meter.id.name === id.name && meter.id.type !== id.type,
+    );
+    if (conflict != null) {
+      throw new Error(
+        `Meter "${id.name}" is already registered as ${conflict.id.type}, can not register it as ${id.type}.`,
+      );
+    }
+
+    // A denied meter works, but is not registered and therefore not published.
+    meter = createMeter(id);
+    if (this.#filters.every((filter) => filter.accept(id))) {
+      this.#meters.push(meter);
+    }
     return meter;
   }
 }
 
+/**
+ * A `MeterRegistry` that periodically sends the measurements of its meters to
+ * a HTTP collector.
+ *
+ * The meters are posted as JSON in batches:
+ *
+ * ```json
+ * {
+ *   "timestamp": "2024-02-21T19:16:00.000Z",
+ *   "meters": [
+ *     {
+ *       "name": "http.requests",
+ *       "type": "COUNTER",
+ *       "tags": { "method": "GET" },
+ *       "measurements": [{ "statistic": "COUNT", "value": 42 }]
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * The values are cumulative since the start of the application. Failed
+ * requests are retried with exponential backoff.
+ */
+export class PushMeterRegistry extends MeterRegistry {
+  /**
+   * Creates a push meter registry.
+   *
+   * @param {object} options The registry options.
+   * @param {string|URL} options.url The URL to post the meters to.
+   * @param {number} [options.step=60000] The interval in milliseconds to
+   *   publish the meters, a value <= 0 disables the interval.
+   * @param {number} [options.batchSize=1000] The maximum number of meters
+   *   per request.
+   * @param {number} [options.retry=3] The number of retries of a failed
+   *   request.
+   * @param {number} [options.retryDelay=1000] The delay in milliseconds before
+   *   the first retry, doubled for each further retry.
+   * @param {Clock} [options.clock=Clock.system()]
+   * @param {Tags} [options.commonTags] The tags added to all meters.
+   * @return {PushMeterRegistry} The new push meter registry.
+   */
+  static create({
+    url,
+    step = 60000,
+    batchSize = 1000,
+    retry = 3,
+    retryDelay = 1000,
+    clock = Clock.system(),
+    commonTags,
+  }) {
+    const registry = new PushMeterRegistry(
+      url,
+      { step, batchSize, retry, retryDelay },
+      globalThis.fetch.bind(globalThis),
+      Timer.create(),
+      clock,
+    );
+    if (commonTags != null) {
+      registry.commonTags(commonTags);
+    }
+    return registry;
+  }
+
+  /**
+   * Creates a nulled push meter registry.
+   *
+   * The meters are only published when `publish()` is called.
+   *
+   * @param {object} options The registry options.
+   * @param {string|URL} [options.url='http://example.com/metrics'] The URL to
+   *   post the meters to.
+   * @param {number} [options.batchSize=1000] The maximum number of meters
+   *   per request.
+   * @param {number} [options.retry=0] The number of retries of a failed
+   *   request.
+   * @param {object|Error|Array<object|Error>} [options.fetchResponse] The
+   *   responses of the server, an error simulates a network error.
+   * @param {Clock} [options.clock=Clock.fixed()]
+   * @param {Tags} [options.commonTags] The tags added to all meters.
+   * @return {PushMeterRegistry} The new nulled push meter registry.
+   */
+  static createNull({
+    url = 'http://example.com/metrics',
+    batchSize = 1000,
+    retry = 0,
+    fetchResponse = { status: 204 },
+    clock = Clock.fixed(),
+    commonTags,
+  } = {}) {
+    const registry = new PushMeterRegistry(
+      url,
+      { step: 0, batchSize, retry, retryDelay: 0 },
+      createFetchStub(fetchResponse),
+      Timer.createNull({ clock }),
+      clock,
+    );
+    if (commonTags != null) {
+      registry.commonTags(commonTags);
+    }
+    return registry;
+  }
+
+  #url;
+  #batchSize;
+  #retry;
+  #retryDelay;
+  #fetch;
+  #timer;
+  #clock;
+  #events = new EventTarget();
+  #pending = Promise.resolve();
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see PushMeterRegistry.create
+   * @see PushMeterRegistry.createNull
+   */
+  constructor(
+    /** @type {string|URL} */ url,
+    /**
+     * @type {{
+     *   step: number,
+     *   batchSize: number,
+     *   retry: number,
+     *   retryDelay: number,
+     * }}
+     */ { step, batchSize, retry, retryDelay },
+    /** @type {fetch} */ fetchFunc,
+    /** @type {Timer} */ timer,
+    /** @type {Clock} */ clock,
+  ) {
+    super(clock);
+    this.#url = url;
+    this.#batchSize = Math.max(1, batchSize);
+    this.#retry = retry;
+    this.#retryDelay = retryDelay;
+    this.#fetch = fetchFunc;
+    this.#timer = timer;
+    this.#clock = clock;
+
+    if (step > 0) {
+      this.#timer.scheduleAtFixedRate(new PublishTask(this), step, step);
+    }
+  }
+
+  /**
+   * Sends the measurements of all meters.
+   */
+  async publish() {
+    const result = this.#pending.then(() => this.#publishMeters());
+    this.#pending = result.catch(() => {});
+    await result;
+  }
+
+  /**
+   * Publishes the meters a last time and stops publishing.
+   */
+  async close() {
+    this.#timer.cancel();
+    await this.publish();
+  }
+
+  /**
+   * Returns a tracker for requests sent.
+   *
+   * @return {OutputTracker} A new output tracker.
+   */
+  trackRequestsSent() {
+    return OutputTracker.create(this.#events, REQUEST_SENT_EVENT);
+  }
+
+  async #publishMeters() {
+    const timestamp = this.#clock.date().toISOString();
+    const meters = [];
+    for (const meter of this.meters) {
+      try {
+        meters.push({
+          name: meter.id.name,
+          type: meter.id.type.name,
+          tags: meter.id.tags,
+          measurements: meter.measure(),
+        });
+      } catch (error) {
+        console.error(`Failed to measure meter "${meter.id.name}".`, error);
+      }
+    }
+    for (let i = 0; i < meters.length; i += this.#batchSize) {
+      const batch = meters.slice(i, i + this.#batchSize);
+      await this.#send(JSON.stringify({ timestamp, meters: batch }));
+    }
+  }
+
+  async #send(body) {
+    try {
+      await postJsonWithRetry({
+        url: this.#url,
+        body,
+        fetch: this.#fetch,
+        retry: this.#retry,
+        retryDelay: this.#retryDelay,
+        onSend: () =>
+          this.#events.dispatchEvent(
+            new CustomEvent(REQUEST_SENT_EVENT, {
+              detail: { url: this.#url, body },
+            }),
+          ),
+      });
+    } catch (error) {
+      console.error('Failed to publish metrics.', error);
+    }
+  }
+}
+
+class PublishTask extends TimerTask {
+  #registry;
+
+  constructor(/** @type {PushMeterRegistry} */ registry) {
+    super();
+    this.#registry = registry;
+  }
+
+  /**
+   * @override
+   */
+  run() {
+    this.#registry
+      .publish()
+      .catch((error) => console.error('Failed to publish metrics.', error));
+  }
+}
+
+function createFetchStub(response) {
+  const responses = ConfigurableResponses.create(response);
+  return async () => {
+    await sleep(0);
+    const res = responses.next();
+    if (res instanceof Error) {
+      throw res;
+    }
+
+    return new Response(res.body ?? null, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+    });
+  };
+}
+
 export class Meter {
   #id;
 
@@ -53,8 +421,27 @@ export class Meter {
   get id() {
     return this.#id;
   }
+
+  /**
+   * Returns a snapshot of the current values of this meter.
+   *
+   * @return {Measurement[]}
+   * @abstract
+   */
+  measure() {
+    return [];
+  }
 }
 
+/**
+ * A value of a meter, e.g. the count or the total time.
+ *
+ * @typedef {object} Measurement
+ * @property {string} statistic The kind of value, e.g. `COUNT`, `TOTAL`,
+ *   `TOTAL_TIME`, `MAX` or `VALUE`.
+ * @property {number} value
+ */
+
 export class Counter extends Meter {
   #count = 0;
 
@@ -70,10 +457,299 @@ export class Counter extends Meter {
   increment(amount = 1) {
     this.#count += amount;
   }
+
+  /** @override */
+  measure() {
+    return [{ statistic: 'COUNT', value: this.count() }];
+  }
+}
+
+export class Gauge extends Meter {
+  #supplier;
+
+  constructor(
+    /** @type {MeterId} */ id,
+    /** @type {function(): number} */ supplier,
+  ) {
+    super(id);
+    this.#supplier = supplier;
+  }
+
+  value() {
+    return Number(this.#supplier());
+  }
+
+  /** @override */
+  measure() {
+    return [{ statistic: 'VALUE', value: this.value() }];
+  }
+}
+
+/**
+ * The options of a distribution like a timer or distribution summary.
+ *
+ * @typedef {object} DistributionOptions
+ * @property {number[]} [percentiles] The percentiles to publish, between 0
+ *   and 1, e.g. `[0.5, 0.95]`.
+ * @property {number[]} [buckets] The upper bounds of the histogram buckets,
+ *   e.g. `[100, 500, 1000]`.
+ */
+
+/**
+ * Tracks the distribution of events, e.g. response sizes.
+ */
+export class DistributionSummary extends Meter {
+  #distribution;
+
+  constructor(
+    /** @type {MeterId} */ id,
+    /** @type {DistributionOptions} */ options,
+  ) {
+    super(id);
+    this.#distribution = new Distribution(options);
+  }
+
+  record(/** @type {number} */ amount) {
+    this.#distribution.record(amount);
+  }
+
+  count() {
+    return this.#distribution.count;
+  }
+
+  totalAmount() {
+    return this.#distribution.total;
+  }
+
+  mean() {
+    return this.#distribution.mean();
+  }
+
+  max() {
+    return this.#distribution.max;
+  }
+
+  /**
+   * Returns the values of the configured percentiles.
+   *
+   * @return {{percentile: number, value: number}[]}
+   */
+  percentiles() {
+    return this.#distribution.percentiles();
+  }
+
+  /**
+   * Returns the cumulative counts of the configured histogram buckets.
+   *
+   * @return {{bucket: number, count: number}[]}
+   */
+  histogram() {
+    return this.#distribution.histogram();
+  }
+
+  /** @override */
+  measure() {
+    return [
+      { statistic: 'COUNT', value: this.count() },
+      { statistic: 'TOTAL', value: this.totalAmount() },
+      { statistic: 'MAX', value: this.max() },
+    ];
+  }
+}
+
+/**
+ * Measures the count and durations of events in milliseconds.
+ *
+ * Named `TimerMeter` to distinguish it from the scheduling
+ * {@link module:util.Timer}.
+ */
+export class TimerMeter extends Meter {
+  #distribution;
+  #clock;
+
+  /**
+   * @param {MeterId} id
+   * @param {DistributionOptions & {clock?: Clock}} [options]
+   */
+  constructor(id, { percentiles, buckets, clock = Clock.system() } = {}) {
+    super(id);
+    this.#distribution = new Distribution({ percentiles, buckets });
+    this.#clock = clock;
+  }
+
+  /**
+   * Records a duration.
+   *
+   * Fractions of milliseconds are kept. A duration which is not a finite
+   * number, e.g. `NaN`, is ignored.
+   *
+   * @param {Duration|string|number} duration The duration, an ISO 8601 string
+   *   or milliseconds.
+   */
+  record(duration) {
+    this.#distribution.record(
+      typeof duration === 'number' ? duration : new Duration(duration).millis,
+    );
+  }
+
+  /**
+   * Calls a function and records its duration.
+   *
+   * If the function returns a promise, the duration is recorded when the
+   * promise is settled.
+   *
+   * @template T
+   * @param {function(): T} callable The function to measure.
+   * @return {T} The return value of the function.
+   */
+  recordCallable(callable) {
+    const stopWatch = new StopWatch(this.#clock);
+    stopWatch.start();
+    const stop = () => {
+      stopWatch.stop();
+      this.record(stopWatch.getTotalTimeMillis());
+    };
+    let result;
+    try {
+      result = callable();
+    } catch (error) {
+      stop();
+      throw error;
+    }
+
+    if (result instanceof Promise) {
+      // @ts-ignore Returns the promise of the function
+      return result.finally(stop);
+    }
+
+    stop();
+    return result;
+  }
+
+  count() {
+    return this.#distribution.count;
+  }
+
+  /**
+   * Returns the total time in milliseconds.
+   */
+  totalTime() {
+    return this.#distribution.total;
+  }
+
+  /**
+   * Returns the mean time in milliseconds.
+   */
+  mean() {
+    return this.#distribution.mean();
+  }
+
+  /**
+   * Returns the maximum time in milliseconds.
+   */
+  max() {
+    return this.#distribution.max;
+  }
+
+  /**
+   * Returns the values of the configured percentiles in milliseconds.
+   *
+   * @return {{percentile: number, value: number}[]}
+   */
+  percentiles() {
+    return this.#distribution.percentiles();
+  }
+
+  /**
+   * Returns the cumulative counts of the configured histogram buckets in
+   * milliseconds.
+   *
+   * @return {{bucket: number, count: number}[]}
+   */
+  histogram() {
+    return this.#distribution.histogram();
+  }
+
+  /** @override */
+  measure() {
+    return [
+      { statistic: 'COUNT', value: this.count() },
+      { statistic: 'TOTAL_TIME', value: this.totalTime() },
+      { statistic: 'MAX', value: this.max() },
+    ];
+  }
+}
+
+/**
+ * @ignore
+ */
+class Distribution {
+  // Percentiles are computed from the most recent samples only.
+  static #SAMPLE_SIZE = 1024;
+
+  count = 0;
+  total = 0;
+  max = 0;
+
+  #percentiles;
+  #buckets;
+  #bucketCounts;
+  /** @type {number[]} */ #samples = [];
+  #next = 0;
+
+  constructor(
+    /** @type {DistributionOptions} */ { percentiles = [], buckets = [] } = {},
+  ) {
+    this.#percentiles = Array.from(percentiles);
+    this.#buckets = Array.from(buckets).sort((a, b) => a - b);
+    this.#bucketCounts = this.#buckets.map(() => 0);
+  }
+
+  record(/** @type {number} */ amount) {
+    if (!Number.isFinite(amount) || amount < 0) {
+      return;
+    }
+
+    this.count++;
+    this.total += amount;
+    this.max = Math.max(this.max, amount);
+    this.#buckets.forEach((bucket, index) => {
+      if (amount <= bucket) {
+        this.#bucketCounts[index]++;
+      }
+    });
+    if (this.#percentiles.length > 0) {
+      this.#samples[this.#next] = amount;
+      this.#next = (this.#next + 1) % Distribution.#SAMPLE_SIZE;
+    }
+  }
+
+  mean() {
+    return this.count === 0 ? 0 : this.total / this.count;
+  }
+
+  percentiles() {
+    const samples = [...this.#samples].sort((a, b) => a - b);
+    return this.#percentiles.map((percentile) => {
+      const index = Math.ceil(percentile * samples.length) - 1;
+      const value =
+        samples.length === 0
+          ? 0
+          : samples[Math.min(Math.max(index, 0), samples.length - 1)];
+      return { percentile, value };
+    });
+  }
+
+  histogram() {
+    return this.#buckets.map((bucket, index) => ({
+      bucket,
+      count: this.#bucketCounts[index],
+    }));
+  }
 }
 
 export class MeterId {
-  static create({ name, tags = [], type }) {
+  static create({ name, tags = {}, type }) {
     return new MeterId(name, tags, type);
   }
 
@@ -83,12 +759,16 @@ export class MeterId {
 
   constructor(
     /** @type {string} */ name,
-    /** @type {string[]} */ tags,
+    /** @type {Tags} */ tags,
     /** @type {MeterType} */ type,
   ) {
     // TODO validate parameters are not null
     this.#name = name;
-    this.#tags = Array.from(tags).sort();
+    this.#tags = Object.fromEntries(
+      Object.entries(tags)
+        .map(([key, value]) => [key, String(value)])
+        .sort(([key1], [key2]) => key1.localeCompare(key2)),
+    );
     this.#type = type;
   }
 
@@ -96,25 +776,427 @@ export class MeterId {
     return this.#name;
   }
 
+  /**
+   * @type {Tags}
+   */
   get tags() {
-    return this.#tags;
+    return { ...this.#tags };
   }
 
   get type() {
     return this.#type;
   }
 
+  /**
+   * Returns a copy of this ID with another name.
+   */
+  withName(/** @type {string} */ name) {
+    return new MeterId(name, this.#tags, this.#type);
+  }
+
+  /**
+   * Returns a copy of this ID with other tags.
+   */
+  withTags(/** @type {Tags} */ tags) {
+    return new MeterId(this.#name, tags, this.#type);
+  }
+
   equals(other) {
+    const tags = Object.entries(this.#tags);
+    const otherTags = other.tags;
     return (
       this.name === other.name &&
-      this.tags.length === other.tags.length &&
-      this.tags.every((tag, index) => tag === other.tags[index])
+      this.type === other.type &&
+      tags.length === Object.keys(otherTags).length &&
+      tags.every(([key, value]) => otherTags[key] === value)
     );
   }
 }
 
+/**
+ * Transforms, denies or accepts meters when they are registered.
+ *
+ * Use the factory methods for common filters or pass your own `map` and
+ * `accept` functions.
+ */
+export class MeterFilter {
+  /**
+   * Adds tags to all meters, the tags of the meter take precedence.
+   *
+   * @param {Tags} tags
+   */
+  static commonTags(tags) {
+    return new MeterFilter({
+      map: (id) => id.withTags({ ...tags, ...id.tags }),
+    });
+  }
+
+  /**
+   * Renames a meter.
+   *
+   * @param {string} from
+   * @param {string} to
+   */
+  static rename(from, to) {
+    return new MeterFilter({
+      map: (id) => (id.name === from ? id.withName(to) : id),
+    });
+  }
+
+  /**
+   * Removes tags with the keys from all meters.
+   *
+   * @param {...string} keys
+   */
+  static ignoreTags(...keys) {
+    return new MeterFilter({
+      map: (id) => {
+        const tags = id.tags;
+        keys.forEach((key) => delete tags[key]);
+        return id.withTags(tags);
+      },
+    });
+  }
+
+  /**
+   * Replaces the values of a tag, e.g. to map `/users/42` to `/users/{id}`.
+   *
+   * @param {string} key
+   * @param {function(string): string} replacement
+   */
+  static replaceTagValues(key, replacement) {
+    return new MeterFilter({
+      map: (id) => {
+        const tags = id.tags;
+        if (key in tags) {
+          tags[key] = replacement(tags[key]);
+        }
+        return id.withTags(tags);
+      },
+    });
+  }
+
+  /**
+   * Denies meters matching a predicate.
+   *
+   * @param {function(MeterId): boolean} predicate
+   */
+  static deny(predicate) {
+    return new MeterFilter({ accept: (id) => !predicate(id) });
+  }
+
+  /**
+   * Denies meters whose name starts with a prefix.
+   *
+   * @param {string} prefix
+   */
+  static denyNameStartsWith(prefix) {
+    return MeterFilter.deny((id) => id.name.startsWith(prefix));
+  }
+
+  /**
+   * Limits the number of different values of a tag for meters whose name
+   * starts with a prefix. Meters with further values are denied.
+   *
+   * @param {string} prefix
+   * @param {string} key
+   * @param {number} maximum
+   */
+  static maximumAllowableTags(prefix, key, maximum) {
+    const values = new Set();
+    return new MeterFilter({
+      accept: (id) => {
+        const value = id.tags[key];
+        if (!id.name.startsWith(prefix) || value == null) {
+          return true;
+        }
+
+        if (values.size >= maximum && !values.has(value)) {
+          return false;
+        }
+
+        values.add(value);
+        return true;
+      },
+    });
+  }
+
+  #map;
+  #accept;
+
+  /**
+   * @param {object} [options]
+   * @param {function(MeterId): MeterId} [options.map] Transforms the ID of a
+   *   meter.
+   * @param {function(MeterId): boolean} [options.accept] Returns `false` if a
+   *   meter should not be registered.
+   */
+  constructor({ map = (id) => id, accept = () => true } = {}) {
+    this.#map = map;
+    this.#accept = accept;
+  }
+
+  map(/** @type {MeterId} */ id) {
+    return this.#map(id);
+  }
+
+  accept(/** @type {MeterId} */ id) {
+    return this.#accept(id);
+  }
+}
+
 export class MeterType extends Enum {
   static COUNTER = new MeterType('COUNTER', 0);
   static GAUGE = new MeterType('GAUGE', 1);
   static TIMER = new MeterType('TIMER', 2);
+  static DISTRIBUTION_SUMMARY = new MeterType('DISTRIBUTION_SUMMARY', 3);
+}
+
+/**
+ * A logging `Handler` that counts log records in the counter `log.events` with
+ * the tag `level`, e.g. `level=warning`.
+ *
+ * Only warnings and errors are counted by default, set the level of the
+ * handler to count more.
+ *
+ * Example:
+ *
+ * ```javascript
+ * Logger.getLogger('').addHandler(new MetricsHandler(meterRegistry));
+ * ```
+ *
+ * @extends Handler
+ */
+export class MetricsHandler extends Handler {
+  #registry;
+
+  /**
+   * Creates a metrics handler.
+   *
+   * @param {MeterRegistry} registry The registry of the counters.
+   */
+  constructor(registry) {
+    super();
+    this.#registry = registry;
+    this.level = Level.WARNING;
+  }
+
+  /** @override */
+  async publish(/** @type {LogRecord} */ record) {
+    if (!this.isLoggable(record)) {
+      return;
+    }
+
+    const level = record.level.toString().toLowerCase();
+    this.#registry.counter('log.events', { level }).increment();
+    await Promise.resolve();
+  }
+}
+
+/**
+ * Renders meters in the Prometheus text exposition format or in the
+ * OpenMetrics format.
+ *
+ * Meter names are converted to valid metric names, e.g. `http.requests`
+ * becomes `http_requests`. Tags become labels.
+ * Counters get the suffix `_total`. Timers are rendered in seconds with the
+ * suffix `_seconds`. Timers and distribution summaries are rendered as
+ * histograms if buckets are configured, otherwise as summaries with the
+ * configured percentiles as quantiles, both with an additional `_max` gauge.
+ */
+export class PrometheusFormatter {
+  /**
+   * The content type of the Prometheus text format.
+   */
+  static CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+  /**
+   * The content type of the OpenMetrics format.
+   */
+  static OPENMETRICS_CONTENT_TYPE =
+    'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+  #openMetrics;
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.openMetrics=false] Renders the OpenMetrics
+   *   format instead of the Prometheus text format.
+   */
+  constructor({ openMetrics = false } = {}) {
+    this.#openMetrics = openMetrics;
+  }
+
+  /**
+   * The content type of the rendered text.
+   *
+   * @type {string}
+   * @readonly
+   */
+  get contentType() {
+    return this.#openMetrics
+      ? PrometheusFormatter.OPENMETRICS_CONTENT_TYPE
+      : PrometheusFormatter.CONTENT_TYPE;
+  }
+
+  /**
+   * Renders the meters.
+   *
+   * @param {Meter[]} meters
+   * @return {string}
+   */
+  format(meters) {
+    const families = new MetricFamilies();
+    for (const meter of meters) {
+      const help = meter.id.name;
+      const name = sanitizeMetricName(meter.id.name);
+      const labels = tagsToLabels(meter.id.tags);
+      if (meter instanceof Counter) {
+        const base = name.endsWith('_total') ? name.slice(0, -6) : name;
+        families
+          .get(this.#openMetrics ? base : `${base}_total`, 'counter', help)
+          .sample(`${base}_total`, labels, meter.count());
+      } else if (meter instanceof Gauge) {
+        families.get(name, 'gauge', help).sample(name, labels, meter.value());
+      } else if (meter instanceof TimerMeter) {
+        const base = name.endsWith('_seconds') ? name : `${name}_seconds`;
+        formatDistribution(families, base, help, labels, meter, {
+          total: meter.totalTime(),
+          scale: 1 / 1000,
+        });
+      } else if (meter instanceof DistributionSummary) {
+        formatDistribution(families, name, help, labels, meter, {
+          total: meter.totalAmount(),
+          scale: 1,
+        });
+      }
+    }
+
+    let text = families.toString();
+    if (this.#openMetrics) {
+      text += '# EOF\n';
+    }
+    return text;
+  }
+}
+
+function formatDistribution(
+  /** @type {MetricFamilies} */ families,
+  /** @type {string} */ name,
+  /** @type {string} */ help,
+  /** @type {Record<string, string>} */ labels,
+  /** @type {TimerMeter|DistributionSummary} */ meter,
+  { total, scale },
+) {
+  const histogram = meter.histogram();
+  const family = families.get(
+    name,
+    histogram.length > 0 ? 'histogram' : 'summary',
+    help,
+  );
+  if (histogram.length > 0) {
+    for (const { bucket, count } of histogram) {
+      const le = formatNumber(bucket * scale);
+      family.sample(`${name}_bucket`, { ...labels, le }, count);
+    }
+    family.sample(`${name}_bucket`, { ...labels, le: '+Inf' }, meter.count());
+  } else {
+    for (const { percentile, value } of meter.percentiles()) {
+      const quantile = formatNumber(percentile);
+      family.sample(name, { ...labels, quantile }, value * scale);
+    }
+  }
+  family.sample(`${name}_sum`, labels, total * scale);
+  family.sample(`${name}_count`, labels, meter.count());
+  families
+    .get(`${name}_max`, 'gauge', help)
+    .sample(`${name}_max`, labels, meter.max() * scale);
+}
+
+/**
+ * @ignore
+ */
+class MetricFamilies {
+  /** @type {Map<string, {type: string, help: string, lines: string[]}>} */
+  #families = new Map();
+
+  get(/** @type {string} */ name, type, help) {
+    let family = this.#families.get(name);
+    if (family == null) {
+      family = { type, help, lines: [] };
+      this.#families.set(name, family);
+    }
+    return {
+      sample: (sampleName, labels, value) => {
+        family.lines.push(
+          `${sampleName}${formatLabels(labels)} ${formatNumber(value)}`,
+        );
+      },
+    };
+  }
+
+  toString() {
+    let text = '';
+    for (const [name, { type, help, lines }] of this.#families) {
+      text += `# HELP ${name} ${escapeHelp(help)}\n`;
+      text += `# TYPE ${name} ${type}\n`;
+      text += lines.map((line) => line + '\n').join('');
+    }
+    return text;
+  }
+}
+
+function sanitizeMetricName(/** @type {string} */ name) {
+  const sanitized = name.replace(/[^a-zA-Z0-9_:]/g, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+}
+
+function sanitizeLabelName(/** @type {string} */ name) {
+  const sanitized = name.replace(/[^a-zA-Z0-9_]/g, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+}
+
+function tagsToLabels(/** @type {Tags} */ tags) {
+  const labels = {};
+  for (const [key, value] of Object.entries(tags)) {
+    labels[sanitizeLabelName(key)] = value;
+  }
+  return labels;
+}
+
+function formatLabels(/** @type {Record<string, string>} */ labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const s = entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(',');
+  return `{${s}}`;
+}
+
+function escapeLabelValue(/** @type {string} */ value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+function escapeHelp(/** @type {string} */ help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatNumber(/** @type {number} */ value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+
+  return String(value);
 }
@@ -3,35 +3,160 @@
 /**
  * @import * as express from 'express'
  *
- * @import { HealthContributorRegistry } from '../health.js'
+ * @import {
+ *   HealthContributorRegistry,
+ *   HealthEndpointGroup,
+ *   Show,
+ * } from '../health.js'
+ * @import { MemoryHandler } from '../logging.js'
+ * @import { Meter, MeterRegistry } from '../metrics.js'
  */
 
+import express from 'express';
 import process from 'node:process';
 
+import {
+  ApplicationAvailability,
+  HealthEndpoint,
+  HttpCodeStatusMapper,
+  IncludeExcludeHealthEndpointGroup,
+  LivenessStateHealthIndicator,
+  ReadinessStateHealthIndicator,
+  StatusAggregator,
+} from '../health.js';
+import {
+  Level,
+  LoggerNameFilter,
+  LogManager,
+  SimpleFormatter,
+} from '../logging.js';
+import { PrometheusFormatter } from '../metrics.js';
 import * as handler from './handler.js';
 
 // TODO Remove dependency to express
 
 export class ActuatorController {
-  #services;
-  #healthContributorRegistry;
+  #meterRegistry;
+  #healthEndpoint;
+  #isAuthorized;
+  #memoryHandler;
+  #logManager;
 
+  /**
+   * Creates a new actuator controller.
+   *
+   * @param {MeterRegistry} meterRegistry The registry of the meters exposed at
+   *   `/actuator/metrics` and `/actuator/prometheus`.
+   * @param {HealthContributorRegistry} healthContributorRegistry The registry
+   *   of the health contributors exposed at `/actuator/health`.
+   * @param {express.Express} app The express application.
+   * @param {object} [options] The controller options.
+   * @param {MemoryHandler} [options.memoryHandler] The handler keeping the
+   *   recent log records exposed at `/actuator/logfile`.
+   * @param {LogManager} [options.logManager] The log manager whose loggers
+   *   are exposed at `/actuator/loggers`, default is the global log manager.
+   * @param {number} [options.healthTimeout] The timeout of a health indicator
+   *   in milliseconds.
+   * @param {number} [options.healthCacheTimeToLive] The time in milliseconds
+   *   the health is cached.
+   * @param {Show} [options.showDetails='never'] When to show the details of
+   *   the health indicators.
+   * @param {Show} [options.showComponents] When to show the health
+   *   components, default is the value of `showDetails`.
+   * @param {function(express.Request): (boolean|Promise<boolean>)} [options.isAuthorized]
+   *   Checks if the caller of a request is authorized to see details and
+   *   components shown `when-authorized`, to read the log file and to change
+   *   the level of a logger, default is nobody.
+   * @param {Record<string, HealthEndpointGroup>} [options.healthGroups] The
+   *   health groups exposed at `/actuator/health/<group>`, default are the
+   *   groups `liveness` and `readiness` for Kubernetes probes.
+   * @param {ApplicationAvailability} [options.availability] The availability
+   *   reported by the contributors `livenessState` and `readinessState`,
+   *   default is the default application availability.
+   */
   constructor(
-    services, // FIXME Services is not defined in library
-    /** @type {HealthContributorRegistry} */ healthContributorRegistry,
-    /** @type {express.Express} */ app,
+    meterRegistry,
+    healthContributorRegistry,
+    app,
+    {
+      memoryHandler,
+      logManager = LogManager.getLogManager(),
+      healthTimeout,
+      healthCacheTimeToLive,
+      showDetails = 'never',
+      showComponents,
+      isAuthorized = () => false,
+      healthGroups = {
+        liveness: new IncludeExcludeHealthEndpointGroup({
+          include: ['livenessState'],
+          showDetails,
+          showComponents,
+        }),
+        readiness: new IncludeExcludeHealthEndpointGroup({
+          include: ['readinessState'],
+          showDetails,
+          showComponents,
+        }),
+      },
+      availability = ApplicationAvailability.getDefault(),
+    } = {},
   ) {
-    this.#services = services;
-    this.#healthContributorRegistry = healthContributorRegistry;
+    this.#meterRegistry = meterRegistry;
+    if (healthContributorRegistry.getContributor('livenessState') == null) {
+      healthContributorRegistry.registerContributor(
+        'livenessState',
+        new LivenessStateHealthIndicator(availability),
+      );
+    }
+    if (healthContributorRegistry.getContributor('readinessState') == null) {
+      healthContributorRegistry.registerContributor(
+        'readinessState',
+        new ReadinessStateHealthIndicator(availability),
+      );
+    }
+    this.#healthEndpoint = new HealthEndpoint(
+      healthContributorRegistry,
+      {
+        primary: {
+          statusAggregator: StatusAggregator.getDefault(),
+          httpCodeStatusMapper: HttpCodeStatusMapper.getDefault(),
+          showDetails,
+          showComponents,
+        },
+        additional: healthGroups,
+      },
+      { timeout: healthTimeout, cacheTimeToLive: healthCacheTimeToLive },
+    );
+    this.#isAuthorized = isAuthorized;
+    this.#memoryHandler = memoryHandler;
+    this.#logManager = logManager;
 
     app.get('/actuator', this.#getActuator.bind(this));
     app.get('/actuator/info', this.#getActuatorInfo.bind(this));
     app.get('/actuator/metrics', this.#getActuatorMetrics.bind(this));
-    app.get('/actuator/health', this.#getActuatorHealth.bind(this));
+    app.get('/actuator/metrics/:name', this.#getActuatorMetric.bind(this));
     app.get(
-      '/actuator/prometheus',
-      handler.runSafe(this.#getMetrics.bind(this)),
+      '/actuator/health',
+      handler.runSafe(this.#getActuatorHealth.bind(this)),
     );
+    app.get(
+      '/actuator/health/*',
+      handler.runSafe(this.#getActuatorHealth.bind(this)),
+    );
+    if (memoryHandler != null) {
+      app.get(
+        '/actuator/logfile',
+        handler.runSafe(this.#getActuatorLogfile.bind(this)),
+      );
+    }
+    app.get('/actuator/loggers', this.#getActuatorLoggers.bind(this));
+    app.get('/actuator/loggers/:name', this.#getActuatorLogger.bind(this));
+    app.post(
+      '/actuator/loggers/:name',
+      express.json(),
+      handler.runSafe(this.#postActuatorLogger.bind(this)),
+    );
+    app.get('/actuator/prometheus', this.#getActuatorPrometheus.bind(this));
   }
 
   #getActuator(
@@ -43,15 +168,18 @@ export class ActuatorController {
     if (!requestedUrl.endsWith('/')) {
       requestedUrl += '/';
     }
-    response.status(200).json({
-      _links: {
-        self: { href: requestedUrl },
-        info: { href: requestedUrl + 'info' },
-        metrics: { href: requestedUrl + 'metrics' },
-        health: { href: requestedUrl + 'health' },
-        prometheus: { href: requestedUrl + 'prometheus' },
-      },
-    });
+    const links = {
+      self: { href: requestedUrl },
+      info: { href: requestedUrl + 'info' },
+      metrics: { href: requestedUrl + 'metrics' },
+      health: { href: requestedUrl + 'health' },
+      loggers: { href: requestedUrl + 'loggers' },
+      prometheus: { href: requestedUrl + 'prometheus' },
+    };
+    if (this.#memoryHandler != null) {
+      links.logfile = { href: requestedUrl + 'logfile' };
+    }
+    response.status(200).json({ _links: links });
   }
 
   #getActuatorInfo(
@@ -69,34 +197,233 @@ export class ActuatorController {
     /** @type {express.Request} */ _request,
     /** @type {express.Response} */ response,
   ) {
+    const names = new Set(this.#meterRegistry.meters.map((m) => m.id.name));
+    response.status(200).json({ names: Array.from(names).sort() });
+  }
+
+  #getActuatorMetric(
+    /** @type {express.Request} */ request,
+    /** @type {express.Response} */ response,
+  ) {
+    const name = request.params.name;
+    let meters = this.#meterRegistry.meters.filter((m) => m.id.name === name);
+    if (meters.length === 0) {
+      handler.reply(response, { status: 404, body: 'Metric not found.' });
+      return;
+    }
+
+    const tags = [request.query.tag ?? []].flat().map(String);
+    for (const tag of tags) {
+      const index = tag.indexOf(':');
+      if (index === -1) {
+        handler.reply(response, {
+          status: 400,
+          body: `Bad tag "${tag}", expected "key:value".`,
+        });
+        return;
+      }
+
+      const key = tag.substring(0, index);
+      const value = tag.substring(index + 1);
+      meters = meters.filter((m) => m.id.tags[key] === value);
+    }
+
     response.status(200).json({
-      cpu: process.cpuUsage(),
-      mem: process.memoryUsage(),
-      uptime: process.uptime(),
+      name,
+      measurements: aggregateMeasurements(meters),
+      availableTags: collectAvailableTags(meters, tags),
     });
   }
 
-  #getActuatorHealth(
-    /** @type {express.Request} */ _request,
+  async #getActuatorHealth(
+    /** @type {express.Request} */ request,
     /** @type {express.Response} */ response,
   ) {
-    const health = this.#healthContributorRegistry.health();
-    const status = health.status === 'UP' ? 200 : 503;
-    response.status(status).json(health);
+    const path = (request.params[0] ?? '').split('/').filter((s) => s);
+    const authorized = await this.#isAuthorized(request);
+    const result = await this.#healthEndpoint.health({ path, authorized });
+    if (result == null) {
+      handler.reply(response, {
+        status: 404,
+        body: 'Health contributor not found.',
+      });
+      return;
+    }
+
+    response.status(result.status).json(result.body);
   }
 
-  async #getMetrics(
-    /** @type {express.Request} */ _request,
+  async #getActuatorLogfile(
+    /** @type {express.Request} */ request,
     /** @type {express.Response} */ response,
   ) {
-    // TODO count warnings and errors
-    // TODO create class MeterRegistry
-
-    const metrics = await this.#services.getMetrics();
-    const timestamp = new Date().getTime();
-    let body = `# TYPE talks_count gauge\ntalks_count ${metrics.talksCount} ${timestamp}\n\n`;
-    body += `# TYPE presenters_count gauge\npresenters_count ${metrics.presentersCount} ${timestamp}\n\n`;
-    body += `# TYPE comments_count gauge\ncomments_count ${metrics.commentsCount} ${timestamp}\n\n`;
+    if (!(await this.#isAuthorized(request))) {
+      handler.reply(response, { status: 403, body: 'Forbidden.' });
+      return;
+    }
+
+    const { level, logger } = request.query;
+    let minLevel = Level.ALL;
+    try {
+      if (level != null) {
+        minLevel = Level.parse(String(level).toUpperCase());
+      }
+    } catch (error) {
+      handler.reply(response, { status: 400, body: error.message });
+      return;
+    }
+
+    const filter = new LoggerNameFilter({
+      include: logger != null ? [String(logger)] : [],
+    });
+    const formatter = this.#memoryHandler.formatter ?? new SimpleFormatter();
+    const body = this.#memoryHandler.records
+      .filter((record) => record.level >= minLevel)
+      .filter((record) => filter.isLoggable(record))
+      .map((record) => formatter.format(record) + '\n')
+      .join('');
     handler.reply(response, { body });
   }
+
+  #getActuatorLoggers(
+    /** @type {express.Request} */ _request,
+    /** @type {express.Response} */ response,
+  ) {
+    const loggers = {};
+    for (const name of this.#logManager.getLoggerNames().sort()) {
+      loggers[name === '' ? ROOT_LOGGER_NAME : name] = this.#describeLogger(
+        this.#logManager.getLogger(name),
+      );
+    }
+    response.status(200).json({ levels: LEVELS, loggers });
+  }
+
+  #getActuatorLogger(
+    /** @type {express.Request} */ request,
+    /** @type {express.Response} */ response,
+  ) {
+    const logger = this.#logManager.getLogger(
+      getLoggerName(request.params.name),
+    );
+    if (logger == null) {
+      handler.reply(response, { status: 404, body: 'Logger not found.' });
+      return;
+    }
+
+    response.status(200).json(this.#describeLogger(logger));
+  }
+
+  async #postActuatorLogger(
+    /** @type {express.Request} */ request,
+    /** @type {express.Response} */ response,
+  ) {
+    if (!(await this.#isAuthorized(request))) {
+      handler.reply(response, { status: 403, body: 'Forbidden.' });
+      return;
+    }
+
+    const name = getLoggerName(request.params.name);
+    const logger = this.#logManager.getLogger(name);
+    if (logger == null) {
+      handler.reply(response, { status: 404, body: 'Logger not found.' });
+      return;
+    }
+
+    const configuredLevel = request.body?.configuredLevel;
+    let level;
+    try {
+      if (configuredLevel != null) {
+        level = Level.parse(String(configuredLevel).toUpperCase());
+      } else if (name === '') {
+        throw new Error('Root logger must have a level.');
+      }
+    } catch (error) {
+      handler.reply(response, { status: 400, body: error.message });
+      return;
+    }
+
+    logger.level = level;
+    handler.reply(response, { status: 204 });
+  }
+
+  #describeLogger(logger) {
+    let ancestor = logger;
+    while (ancestor.level == null && ancestor.parent != null) {
+      ancestor = ancestor.parent;
+    }
+    return {
+      configuredLevel: logger.level?.toString() ?? null,
+      effectiveLevel: ancestor.level?.toString() ?? null,
+    };
+  }
+
+  #getActuatorPrometheus(
+    /** @type {express.Request} */ request,
+    /** @type {express.Response} */ response,
+  ) {
+    const openMetrics = String(request.get('Accept') ?? '').includes(
+      'application/openmetrics-text',
+    );
+    const formatter = new PrometheusFormatter({ openMetrics });
+    handler.reply(response, {
+      headers: { 'Content-Type': formatter.contentType },
+      body: formatter.format(this.#meterRegistry.meters),
+    });
+  }
+}
+
+const ROOT_LOGGER_NAME = 'root';
+
+const LEVELS = [
+  Level.OFF,
+  Level.ERROR,
+  Level.WARNING,
+  Level.INFO,
+  Level.DEBUG,
+  Level.TRACE,
+  Level.ALL,
+].map((level) => level.toString());
+
+function getLoggerName(/** @type {string} */ name) {
+  return name === ROOT_LOGGER_NAME ? '' : name;
+}
+
+function aggregateMeasurements(/** @type {Meter[]} */ meters) {
+  const values = new Map();
+  for (const meter of meters) {
+    for (const { statistic, value } of meter.measure()) {
+      if (!values.has(statistic)) {
+        values.set(statistic, value);
+      } else if (statistic === 'MAX') {
+        values.set(statistic, Math.max(values.get(statistic), value));
+      } else {
+        values.set(statistic, values.get(statistic) + value);
+      }
+    }
+  }
+  return Array.from(values, ([statistic, value]) => ({ statistic, value }));
+}
+
+function collectAvailableTags(
+  /** @type {Meter[]} */ meters,
+  /** @type {string[]} */ selectedTags,
+) {
+  const selectedKeys = selectedTags.map((tag) => tag.split(':')[0]);
+  const tags = new Map();
+  for (const meter of meters) {
+    for (const [key, value] of Object.entries(meter.id.tags)) {
+      if (selectedKeys.includes(key)) {
+        continue;
+      }
+
+      if (!tags.has(key)) {
+        tags.set(key, new Set());
+      }
+      tags.get(key).add(value);
+    }
+  }
+  return Array.from(tags, ([tag, values]) => ({
+    tag,
+    values: Array.from(values).sort(),
+  }));
 }
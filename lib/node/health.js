@@ -0,0 +1,405 @@
+// Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
+
+/**
+ * Health indicators for the Node.js runtime.
+ *
+ * @module
+ */
+
+import fsPromises from 'node:fs/promises';
+import { monitorEventLoopDelay } from 'node:perf_hooks';
+import v8 from 'node:v8';
+
+import {
+  Health,
+  HealthContributorRegistry,
+  HttpHealthIndicator,
+  PingHealthIndicator,
+} from '../health.js';
+
+/**
+ * The configuration of the built-in health indicators.
+ *
+ * Register the indicators with {@link configureHealthIndicators}.
+ */
+export class HealthConfiguration {
+  /**
+   * Creates a new health configuration from an object.
+   *
+   * All indicators except the HTTP dependencies are enabled by default.
+   *
+   * Example:
+   *
+   * ```javascript
+   * const configuration = HealthConfiguration.fromObject({
+   *   diskSpace: { path: '/var/data', threshold: 100 * 1024 * 1024 },
+   *   heap: { threshold: 0.8 },
+   *   eventLoop: { enabled: false },
+   *   http: { payment: { url: 'http://payment/actuator/health' } },
+   * });
+   * ```
+   *
+   * @param {Partial<HealthConfiguration>} object
+   * @returns {HealthConfiguration}
+   */
+  static fromObject({
+    diskSpace = {},
+    heap = {},
+    eventLoop = {},
+    ping = {},
+    http = {},
+  } = {}) {
+    return new HealthConfiguration(
+      { enabled: true, path: '.', threshold: 10 * 1024 * 1024, ...diskSpace },
+      { enabled: true, threshold: 0.9, ...heap },
+      { enabled: true, threshold: 1000, ...eventLoop },
+      { enabled: true, ...ping },
+      http,
+    );
+  }
+
+  /**
+   * Creates a new health configuration.
+   *
+   * @param {{enabled: boolean, path: string, threshold: number}} diskSpace
+   *   The path to check and the minimum free disk space in bytes.
+   * @param {{enabled: boolean, threshold: number}} heap The maximum ratio of
+   *   the used heap to the heap size limit, between 0 and 1.
+   * @param {{enabled: boolean, threshold: number}} eventLoop The maximum
+   *   event loop delay in milliseconds.
+   * @param {{enabled: boolean}} ping
+   * @param {Record<string, {url: string, timeout?: number}>} http The HTTP
+   *   dependencies by contributor name.
+   */
+  constructor(diskSpace, heap, eventLoop, ping, http) {
+    this.diskSpace = diskSpace;
+    this.heap = heap;
+    this.eventLoop = eventLoop;
+    this.ping = ping;
+    this.http = http;
+  }
+}
+
+/** @type {WeakMap<HealthContributorRegistry, string[]>} */
+const httpNamesByRegistry = new WeakMap();
+
+/**
+ * Registers the built-in health indicators.
+ *
+ * The indicators are registered as `diskSpace`, `heap`, `eventLoop`, `ping`
+ * and with the names of the HTTP dependencies. The function can be called
+ * again when the configuration changes: a contributor registered with the
+ * same name is closed and replaced, disabled indicators and removed HTTP
+ * dependencies are closed and unregistered.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const configuration = ConfigurationProperties.create({ prefix: 'health' });
+ * configureHealthIndicators(
+ *   HealthConfiguration.fromObject(await configuration.get()),
+ * );
+ * ```
+ *
+ * @param {HealthConfiguration} [configuration] The configuration, default
+ *   enables all indicators with default thresholds.
+ * @param {HealthContributorRegistry} [registry] The registry, default is the
+ *   default registry.
+ */
+export function configureHealthIndicators(
+  configuration = HealthConfiguration.fromObject(),
+  registry = HealthContributorRegistry.getDefault(),
+) {
+  const { diskSpace, heap, eventLoop, ping, http } = configuration;
+  /** @type {Map<string, import('../health.js').HealthContributor>} */
+  const contributors = new Map();
+  if (diskSpace.enabled) {
+    contributors.set('diskSpace', DiskSpaceHealthIndicator.create(diskSpace));
+  }
+  if (heap.enabled) {
+    contributors.set('heap', HeapHealthIndicator.create(heap));
+  }
+  if (eventLoop.enabled) {
+    contributors.set('eventLoop', EventLoopHealthIndicator.create(eventLoop));
+  }
+  if (ping.enabled) {
+    contributors.set('ping', new PingHealthIndicator());
+  }
+  for (const [name, options] of Object.entries(http)) {
+    contributors.set(name, HttpHealthIndicator.create(options));
+  }
+
+  const previousNames = [
+    'diskSpace',
+    'heap',
+    'eventLoop',
+    'ping',
+    ...(httpNamesByRegistry.get(registry) ?? []),
+  ];
+  for (const name of previousNames) {
+    if (!contributors.has(name)) {
+      closeContributor(registry, name);
+      registry.unregisterContributor(name);
+    }
+  }
+  for (const [name, contributor] of contributors) {
+    closeContributor(registry, name);
+    registry.registerContributor(name, contributor);
+  }
+  httpNamesByRegistry.set(registry, Object.keys(http));
+}
+
+function closeContributor(
+  /** @type {HealthContributorRegistry} */ registry,
+  /** @type {string} */ name,
+) {
+  const contributor = registry.getContributor(name);
+  // @ts-ignore close is optional
+  contributor?.close?.();
+}
+
+/**
+ * A {@link HealthIndicator} that checks the free disk space.
+ *
+ * The disk space is {@link Status.DOWN} if the free space is below the
+ * threshold. It is {@link Status.UNKNOWN} if the runtime can not read the
+ * disk space, `fs.statfs` requires Node.js 18.15.
+ */
+export class DiskSpaceHealthIndicator {
+  /**
+   * Creates a disk space health indicator.
+   *
+   * @param {object} [options] The indicator options.
+   * @param {string} [options.path='.'] The path of the file system to check.
+   * @param {number} [options.threshold=10485760] The minimum free disk space
+   *   in bytes.
+   * @return {DiskSpaceHealthIndicator} The new indicator.
+   */
+  static create({ path = '.', threshold = 10 * 1024 * 1024 } = {}) {
+    return new DiskSpaceHealthIndicator(path, threshold, fsPromises);
+  }
+
+  /**
+   * Creates a nulled disk space health indicator.
+   *
+   * @param {object} [options] The indicator options.
+   * @param {string} [options.path='.'] The path of the file system to check.
+   * @param {number} [options.threshold=10485760] The minimum free disk space
+   *   in bytes.
+   * @param {number} [options.free=104857600] The simulated free disk space in
+   *   bytes.
+   * @param {number} [options.total=1073741824] The simulated total disk space
+   *   in bytes.
+   * @return {DiskSpaceHealthIndicator} The new nulled indicator.
+   */
+  static createNull({
+    path = '.',
+    threshold = 10 * 1024 * 1024,
+    free = 100 * 1024 * 1024,
+    total = 1024 * 1024 * 1024,
+  } = {}) {
+    return new DiskSpaceHealthIndicator(path, threshold, {
+      statfs: async () => ({ bsize: 1, bavail: free, blocks: total }),
+    });
+  }
+
+  #path;
+  #threshold;
+  #fs;
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see DiskSpaceHealthIndicator.create
+   * @see DiskSpaceHealthIndicator.createNull
+   */
+  constructor(
+    /** @type {string} */ path,
+    /** @type {number} */ threshold,
+    /** @type {Partial<Pick<fsPromises, 'statfs'>>} */ fs,
+  ) {
+    this.#path = path;
+    this.#threshold = threshold;
+    this.#fs = fs;
+  }
+
+  /**
+   * Returns the health of the disk space.
+   *
+   * @return {Promise<Health>} The health with the total and free disk space.
+   */
+  async health() {
+    if (typeof this.#fs.statfs !== 'function') {
+      return Health.unknown({
+        details: { path: this.#path, error: 'Disk space is not supported.' },
+      });
+    }
+
+    const stats = await this.#fs.statfs(this.#path);
+    const details = {
+      path: this.#path,
+      total: stats.blocks * stats.bsize,
+      free: stats.bavail * stats.bsize,
+      threshold: this.#threshold,
+    };
+    return details.free >= this.#threshold
+      ? Health.up({ details })
+      : Health.down({ details });
+  }
+}
+
+/**
+ * A {@link HealthIndicator} that checks the usage of the V8 heap.
+ *
+ * The heap is {@link Status.DOWN} if the ratio of the used heap to the heap
+ * size limit exceeds the threshold.
+ */
+export class HeapHealthIndicator {
+  /**
+   * Creates a heap health indicator.
+   *
+   * @param {object} [options] The indicator options.
+   * @param {number} [options.threshold=0.9] The maximum ratio of the used
+   *   heap, between 0 and 1.
+   * @return {HeapHealthIndicator} The new indicator.
+   */
+  static create({ threshold = 0.9 } = {}) {
+    return new HeapHealthIndicator(threshold, () => v8.getHeapStatistics());
+  }
+
+  /**
+   * Creates a nulled heap health indicator.
+   *
+   * @param {object} [options] The indicator options.
+   * @param {number} [options.threshold=0.9] The maximum ratio of the used
+   *   heap, between 0 and 1.
+   * @param {number} [options.used=0] The simulated used heap in bytes.
+   * @param {number} [options.limit=4294967296] The simulated heap size limit
+   *   in bytes.
+   * @return {HeapHealthIndicator} The new nulled indicator.
+   */
+  static createNull({ threshold = 0.9, used = 0, limit = 4294967296 } = {}) {
+    return new HeapHealthIndicator(threshold, () => ({
+      used_heap_size: used,
+      heap_size_limit: limit,
+    }));
+  }
+
+  #threshold;
+  #getHeapStatistics;
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see HeapHealthIndicator.create
+   * @see HeapHealthIndicator.createNull
+   */
+  constructor(
+    /** @type {number} */ threshold,
+    /**
+     * @type {function(): Pick<v8.HeapInfo, 'used_heap_size'|'heap_size_limit'>}
+     */ getHeapStatistics,
+  ) {
+    this.#threshold = threshold;
+    this.#getHeapStatistics = getHeapStatistics;
+  }
+
+  /**
+   * Returns the health of the heap.
+   *
+   * @return {Health} The health with the used heap and the heap size limit.
+   */
+  health() {
+    const { used_heap_size: used, heap_size_limit: limit } =
+      this.#getHeapStatistics();
+    const details = { used, limit, threshold: this.#threshold };
+    return used / limit <= this.#threshold
+      ? Health.up({ details })
+      : Health.down({ details });
+  }
+}
+
+/**
+ * A {@link HealthIndicator} that checks the delay of the event loop.
+ *
+ * The event loop is {@link Status.DOWN} if the mean delay since the last check
+ * exceeds the threshold.
+ */
+export class EventLoopHealthIndicator {
+  /**
+   * Creates an event loop health indicator and starts monitoring.
+   *
+   * @param {object} [options] The indicator options.
+   * @param {number} [options.threshold=1000] The maximum delay in
+   *   milliseconds.
+   * @param {number} [options.resolution=20] The sampling rate in
+   *   milliseconds.
+   * @return {EventLoopHealthIndicator} The new indicator.
+   */
+  static create({ threshold = 1000, resolution = 20 } = {}) {
+    return new EventLoopHealthIndicator(
+      threshold,
+      monitorEventLoopDelay({ resolution }),
+    );
+  }
+
+  /**
+   * Creates a nulled event loop health indicator.
+   *
+   * @param {object} [options] The indicator options.
+   * @param {number} [options.threshold=1000] The maximum delay in
+   *   milliseconds.
+   * @param {number} [options.delay=0] The simulated delay in milliseconds.
+   * @return {EventLoopHealthIndicator} The new nulled indicator.
+   */
+  static createNull({ threshold = 1000, delay = 0 } = {}) {
+    return new EventLoopHealthIndicator(threshold, {
+      mean: delay * 1e6,
+      enable: () => true,
+      disable: () => true,
+      reset: () => {},
+    });
+  }
+
+  #threshold;
+  #histogram;
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see EventLoopHealthIndicator.create
+   * @see EventLoopHealthIndicator.createNull
+   */
+  constructor(
+    /** @type {number} */ threshold,
+    /**
+     * @type {Pick<import('node:perf_hooks').IntervalHistogram, 'mean'|'enable'|'disable'|'reset'>}
+     */ histogram,
+  ) {
+    this.#threshold = threshold;
+    this.#histogram = histogram;
+    this.#histogram.enable();
+  }
+
+  /**
+   * Returns the health of the event loop.
+   *
+   * @return {Health} The health with the mean delay in milliseconds.
+   */
+  health() {
+    const mean = this.#histogram.mean;
+    this.#histogram.reset();
+    const delay = Number.isNaN(mean) ? 0 : mean / 1e6;
+    const details = { delay, threshold: this.#threshold };
+    return delay <= this.#threshold
+      ? Health.up({ details })
+      : Health.down({ details });
+  }
+
+  /**
+   * Stops monitoring.
+   */
+  close() {
+    this.#histogram.disable();
+  }
+}
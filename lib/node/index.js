@@ -3,7 +3,10 @@
 export * from './actuator-controller.js';
 export * from './configuration-properties.js';
 export * from './handler.js';
+export * from './health.js';
+export * from './logging-controller.js';
 export * from './logging.js';
 export * from './long-polling.js';
+export * from './metrics.js';
 export * from './sse-emitter.js';
 export * from './static-files-controller.js';
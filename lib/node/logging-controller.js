@@ -0,0 +1,116 @@
+// Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
+
+import express from 'express';
+
+import { Level, LogManager, LogRecord } from '../logging.js';
+import * as handler from './handler.js';
+
+// TODO Remove dependency to express
+
+/**
+ * Receives log records sent by remote handlers like {@link HttpHandler} or
+ * {@link WebSocketHandler} and publishes them with the loggers of the log
+ * manager.
+ *
+ * The records are expected as JSON array of objects created by the
+ * {@link JsonFormatter}. Additional properties are added as fields.
+ *
+ * A record is published with the nearest existing logger of its logger name,
+ * the controller does not create loggers for names sent by clients.
+ */
+export class LoggingController {
+  #logManager;
+
+  /**
+   * Creates a new logging controller.
+   *
+   * @param {express.Express} app The express application.
+   * @param {object} [options] The controller options.
+   * @param {string} [options.route='/api/logs'] The route to post the log
+   *   records to.
+   * @param {LogManager} [options.logManager] The log manager, default is the
+   *   global log manager.
+   */
+  constructor(
+    app,
+    { route = '/api/logs', logManager = LogManager.getLogManager() } = {},
+  ) {
+    this.#logManager = logManager;
+
+    app.post(route, express.json({ limit: '1mb' }), this.#postLogs.bind(this));
+  }
+
+  /**
+   * Publishes a batch of log records, e.g. received from a WebSocket.
+   *
+   * All records are validated before any record is published.
+   *
+   * @param {string|object[]} records The records as JSON string or as array
+   *   of objects.
+   * @throws {TypeError} If a record is not valid.
+   */
+  receive(records) {
+    if (typeof records === 'string') {
+      records = JSON.parse(records);
+    }
+    if (!Array.isArray(records)) {
+      throw new TypeError('Log records must be an array.');
+    }
+
+    records
+      .map((data) => this.#createRecord(data))
+      .forEach((record) => {
+        const logger = this.#findLogger(record.loggerName ?? '');
+        logger.logRecord(record);
+      });
+  }
+
+  #postLogs(
+    /** @type {express.Request} */ request,
+    /** @type {express.Response} */ response,
+  ) {
+    try {
+      this.receive(request.body);
+      handler.reply(response, { status: 204 });
+    } catch (error) {
+      handler.reply(response, { status: 400, body: error.message });
+    }
+  }
+
+  #findLogger(/** @type {string} */ name) {
+    let logger = this.#logManager.getLogger(name);
+    while (logger == null) {
+      const index = name.lastIndexOf('.');
+      name = index === -1 ? '' : name.substring(0, index);
+      logger = this.#logManager.getLogger(name);
+    }
+    return logger;
+  }
+
+  #createRecord(data) {
+    if (data == null || typeof data !== 'object') {
+      throw new TypeError('Log record must be an object.');
+    }
+
+    const { date, millis, logger, level, message, ...fields } = data;
+    delete fields.sequence;
+    const timestamp = new Date(millis ?? date).getTime();
+    if (!Number.isFinite(timestamp)) {
+      throw new TypeError('Log record must have a valid date or millis.');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('Log record message must be a string.');
+    }
+    if (logger != null && typeof logger !== 'string') {
+      throw new TypeError('Log record logger must be a string.');
+    }
+
+    const record = new LogRecord(Level.parse(level), message);
+    record.date = new Date(timestamp);
+    record.loggerName = logger ?? null;
+    if (Object.keys(fields).length > 0) {
+      record.fields = fields;
+    }
+    return record;
+  }
+}
@@ -4,53 +4,381 @@
  * @import { LogRecord } from '../logging.js';
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
 import fsPromises from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
 
-import { Handler } from '../logging.js';
+import { Handler, LogContext, LogManager } from '../logging.js';
+import { Clock } from '../time.js';
+
+const gzip = promisify(zlib.gzip);
 
 /**
  * A `Handler` that writes log messages to a file.
  *
+ * The file is rotated when it exceeds the size limit or when the rotation
+ * interval has passed. The size of the file is only read on the first write,
+ * the handler assumes to be the only writer of the file. Rotated files are
+ * renamed to `<filename>.1`, `<filename>.2` and so on, up to `count - 1`
+ * archived files. Older files are deleted.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const handler = FileHandler.create({
+ *   filename: 'app.log',
+ *   limit: 10 * 1024 * 1024,
+ *   count: 5,
+ *   rotation: 'daily',
+ *   compress: true,
+ * });
+ * ```
+ *
  * @extends {Handler}
  */
 export class FileHandler extends Handler {
+  /**
+   * Creates a file handler.
+   *
+   * @param {object} options The handler options.
+   * @param {string} options.filename The name of the file to write log
+   *   messages to.
+   * @param {number} [options.limit=0] The maximum size of the file in bytes
+   *   before it is rotated, 0 means no limit.
+   * @param {number} [options.count=1] The number of files to use, the current
+   *   file included. With 1 the file is truncated on rotation.
+   * @param {'daily'|'hourly'} [options.rotation] Rotates the file at the
+   *   beginning of each day or hour.
+   * @param {boolean} [options.compress=false] Compresses archived files with
+   *   gzip.
+   * @param {Clock} [options.clock=Clock.system()] The clock to determine the
+   *   rotation interval.
+   * @return {FileHandler} The new file handler.
+   */
+  static create({
+    filename,
+    limit = 0,
+    count = 1,
+    rotation,
+    compress = false,
+    clock = Clock.system(),
+  }) {
+    return new FileHandler(filename, limit, {
+      count,
+      rotation,
+      compress,
+      clock,
+    });
+  }
+
+  /**
+   * Creates a nulled file handler that writes to an in-memory file system.
+   *
+   * @param {object} options The handler options.
+   * @param {string} [options.filename='application.log'] The name of the file
+   *   to write log messages to.
+   * @param {number} [options.limit=0] The maximum size of the file in bytes
+   *   before it is rotated, 0 means no limit.
+   * @param {number} [options.count=1] The number of files to use, the current
+   *   file included.
+   * @param {'daily'|'hourly'} [options.rotation] Rotates the file at the
+   *   beginning of each day or hour.
+   * @param {boolean} [options.compress=false] Compresses archived files with
+   *   gzip.
+   * @param {Clock} [options.clock=Clock.fixed()] The clock to determine the
+   *   rotation interval.
+   * @param {Record<string, string|Buffer>} [options.files={}] The files and
+   *   file content that are available. The object is updated when the handler
+   *   writes, renames or deletes files.
+   * @return {FileHandler} The new nulled file handler.
+   */
+  static createNull({
+    filename = 'application.log',
+    limit = 0,
+    count = 1,
+    rotation,
+    compress = false,
+    clock = Clock.fixed(),
+    files = {},
+  } = {}) {
+    return new FileHandler(filename, limit, {
+      count,
+      rotation,
+      compress,
+      clock,
+      fs: new FsStub(files, clock),
+    });
+  }
+
   #filename;
   #limit;
+  #count;
+  #rotation;
+  #compress;
+  #clock;
+  #fs;
+  /** @type {string} */ #period;
+  /** @type {number} */ #size;
+  #pending = Promise.resolve();
 
   /**
    * Initialize a new `FileHandler`.
    *
+   * Prefer the factory methods.
+   *
    * @param {string} filename The name of the file to write log messages to.
    * @param {number} [limit=0] The maximum size of the file in bytes before it
    *   is rotated.
+   * @param {object} [options] The rotation options.
+   * @param {number} [options.count=1] The number of files to use.
+   * @param {'daily'|'hourly'} [options.rotation] The rotation interval.
+   * @param {boolean} [options.compress=false] Compresses archived files.
+   * @param {Clock} [options.clock=Clock.system()] The clock to use.
+   * @param {fsPromises} [options.fs=fsPromises] The file system to use.
+   * @see FileHandler.create
+   * @see FileHandler.createNull
    */
-  constructor(filename, limit = 0) {
+  constructor(
+    filename,
+    limit = 0,
+    {
+      count = 1,
+      rotation,
+      compress = false,
+      clock = Clock.system(),
+      fs = fsPromises,
+    } = {},
+  ) {
     super();
+    if (rotation != null && !['daily', 'hourly'].includes(rotation)) {
+      throw new Error(`Bad rotation "${rotation}".`);
+    }
+
     this.#filename = filename;
     this.#limit = limit < 0 ? 0 : limit;
+    this.#count = count < 1 ? 1 : count;
+    this.#rotation = rotation;
+    this.#compress = compress;
+    this.#clock = clock;
+    this.#fs = fs;
   }
 
   /** @override  */
   async publish(/** @type {LogRecord} */ record) {
-    if (!this.isLoggable(record.level)) {
+    await this.publishAll([record]);
+  }
+
+  /**
+   * Writes all loggable records at once.
+   *
+   * @override
+   */
+  async publishAll(/** @type {LogRecord[]} */ records) {
+    const message = records
+      .filter((record) => this.isLoggable(record))
+      .map((record) => this.formatter.format(record) + '\n')
+      .join('');
+    if (message.length === 0) {
       return;
     }
 
-    const message = this.formatter.format(record);
-    if (this.#limit > 0) {
-      try {
-        const stats = await fsPromises.stat(this.#filename);
-        const fileSize = stats.size;
-        const newSize = fileSize + message.length;
-        if (newSize > this.#limit) {
-          await fsPromises.rm(this.#filename);
-        }
-      } catch (error) {
-        if (error.code !== 'ENOENT') {
-          throw error;
-        }
+    // Serialize writes, concurrent rotations would rename the same files.
+    const result = this.#pending.then(() => this.#write(message));
+    this.#pending = result.catch(() => {});
+    await result;
+  }
+
+  /**
+   * Waits until all pending writes are finished.
+   *
+   * @override
+   */
+  async flush() {
+    await this.#pending;
+  }
+
+  async #write(message) {
+    if (this.#size == null) {
+      await this.#init();
+    }
+
+    const length = Buffer.byteLength(message);
+    if (this.#isRotationNeeded(length)) {
+      await this.#rotate();
+      this.#size = 0;
+    }
+    await this.#fs.appendFile(this.#filename, message);
+    this.#size += length;
+  }
+
+  async #init() {
+    try {
+      const stats = await this.#fs.stat(this.#filename);
+      this.#size = stats.size;
+      this.#period = this.#getPeriod(stats.mtime);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
       }
+
+      this.#size = 0;
+      this.#period = this.#getPeriod(this.#clock.date());
+    }
+  }
+
+  #isRotationNeeded(/** @type {number} */ length) {
+    const lastPeriod = this.#period;
+    this.#period = this.#getPeriod(this.#clock.date());
+    if (this.#size === 0) {
+      return false;
+    }
+
+    if (this.#limit > 0 && this.#size + length > this.#limit) {
+      return true;
+    }
+
+    return this.#rotation != null && lastPeriod !== this.#period;
+  }
+
+  #getPeriod(/** @type {Date} */ date) {
+    const period = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    if (this.#rotation === 'hourly') {
+      return `${period}T${date.getHours()}`;
     }
-    await fsPromises.appendFile(this.#filename, message + '\n');
+
+    return period;
+  }
+
+  async #rotate() {
+    if (this.#count === 1) {
+      await this.#fs.rm(this.#filename, { force: true });
+      return;
+    }
+
+    await this.#fs.rm(this.#getArchiveName(this.#count - 1), { force: true });
+    for (let i = this.#count - 2; i >= 1; i--) {
+      await this.#renameIfExists(
+        this.#getArchiveName(i),
+        this.#getArchiveName(i + 1),
+      );
+    }
+    const archive = `${this.#filename}.1`;
+    await this.#fs.rename(this.#filename, archive);
+    if (this.#compress) {
+      const content = await this.#fs.readFile(archive);
+      await this.#fs.writeFile(`${archive}.gz`, await gzip(content));
+      await this.#fs.rm(archive);
+    }
+  }
+
+  #getArchiveName(/** @type {number} */ index) {
+    const name = `${this.#filename}.${index}`;
+    return this.#compress ? `${name}.gz` : name;
+  }
+
+  async #renameIfExists(oldPath, newPath) {
+    try {
+      await this.#fs.rename(oldPath, newPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+// Propagate the log context through asynchronous calls.
+LogContext.setStorage(new AsyncLocalStorage());
+
+LogManager.registerHandlerFactory(
+  'file',
+  ({
+    name = 'application.log',
+    path: directory = '.',
+    limit,
+    count,
+    rotation,
+    compress,
+  }) =>
+    FileHandler.create({
+      filename: path.join(directory, name),
+      limit,
+      count,
+      rotation,
+      compress,
+    }),
+);
+
+/**
+ * @ignore
+ */
+class FsStub {
+  /** @type {Record<string, string|Buffer>} */
+  #files;
+
+  /** @type {Clock} */
+  #clock;
+
+  /** @type {Map<string, Date>} */
+  #mtimes = new Map();
+
+  /**
+   * @param {Record<string, string|Buffer>} files
+   * @param {Clock} clock
+   */
+  constructor(files, clock) {
+    this.#files = files;
+    this.#clock = clock;
+  }
+
+  async stat(path) {
+    const content = this.#get(path);
+    return {
+      size: Buffer.byteLength(content),
+      mtime: this.#mtimes.get(path) ?? this.#clock.date(),
+    };
+  }
+
+  async readFile(path) {
+    return Buffer.from(this.#get(path));
+  }
+
+  async writeFile(path, content) {
+    this.#files[path] = content;
+    this.#mtimes.set(path, this.#clock.date());
+  }
+
+  async appendFile(path, content) {
+    this.#files[path] = (this.#files[path] ?? '') + content;
+    this.#mtimes.set(path, this.#clock.date());
+  }
+
+  async rename(oldPath, newPath) {
+    this.#files[newPath] = this.#get(oldPath);
+    this.#mtimes.set(newPath, this.#mtimes.get(oldPath));
+    delete this.#files[oldPath];
+    this.#mtimes.delete(oldPath);
+  }
+
+  async rm(path, { force = false } = {}) {
+    if (!force) {
+      this.#get(path);
+    }
+    delete this.#files[path];
+    this.#mtimes.delete(path);
+  }
+
+  #get(path) {
+    const content = this.#files[path];
+    if (content == null) {
+      const err = new Error(`No such file or directory`);
+      // @ts-ignore NodeJS error code
+      err.code = 'ENOENT';
+      throw err;
+    }
+
+    return content;
   }
 }
@@ -0,0 +1,595 @@
+// Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
+
+/**
+ * @import * as http from 'node:http'
+ * @import * as express from 'express'
+ *
+ * @import { MeterRegistry } from '../metrics.js'
+ */
+
+import {
+  constants,
+  monitorEventLoopDelay,
+  performance,
+  PerformanceObserver,
+} from 'node:perf_hooks';
+import process from 'node:process';
+
+import { Clock } from '../time.js';
+import { Timer, TimerTask } from '../util.js';
+
+/**
+ * Binds gauges for CPU, memory, active handles and uptime of the Node.js
+ * process to a meter registry.
+ *
+ * Registers the gauges:
+ * - `process.cpu.usage`: the CPU usage in the last step, between 0 and 1 per
+ *   core
+ * - `process.cpu.time`: the total CPU time in seconds
+ * - `process.uptime`: the uptime in seconds
+ * - `process.memory.rss`: the resident set size in bytes
+ * - `nodejs.heap.used`, `nodejs.heap.total`: the V8 heap in bytes
+ * - `nodejs.external.memory`: the memory of C++ objects bound to JavaScript
+ *   objects in bytes
+ * - `nodejs.active.handles`: the number of active resources keeping the event
+ *   loop alive
+ */
+export class ProcessMetrics {
+  /**
+   * Creates the process metrics.
+   *
+   * @param {object} [options]
+   * @param {number} [options.step=60000] The interval in milliseconds the CPU
+   *   usage is sampled.
+   * @return {ProcessMetrics}
+   */
+  static create({ step = 60000 } = {}) {
+    return new ProcessMetrics(process, Clock.system(), Timer.create(), step);
+  }
+
+  /**
+   * Creates nulled process metrics with fixed values.
+   *
+   * The CPU usage is only sampled when `sample()` is called.
+   *
+   * @param {object} [options]
+   * @param {{user: number, system: number}} [options.cpuUsage] The CPU time in
+   *   microseconds.
+   * @param {{rss: number, heapUsed: number, heapTotal: number, external: number}} [options.memoryUsage]
+   *   The memory usage in bytes.
+   * @param {number} [options.uptime=0] The uptime in seconds.
+   * @param {string[]} [options.activeResources=[]] The active resources.
+   * @param {Clock} [options.clock=Clock.fixed()]
+   * @return {ProcessMetrics}
+   */
+  static createNull({
+    cpuUsage = { user: 0, system: 0 },
+    memoryUsage = { rss: 0, heapUsed: 0, heapTotal: 0, external: 0 },
+    uptime = 0,
+    activeResources = [],
+    clock = Clock.fixed(),
+  } = {}) {
+    return new ProcessMetrics(
+      {
+        cpuUsage: () => cpuUsage,
+        memoryUsage: () => memoryUsage,
+        uptime: () => uptime,
+        getActiveResourcesInfo: () => activeResources,
+      },
+      clock,
+      Timer.createNull({ clock }),
+      0,
+    );
+  }
+
+  #process;
+  #clock;
+  #timer;
+  #step;
+  /** @type {{cpuTime: number, millis: number}} */ #previousSample;
+  /** @type {{cpuTime: number, millis: number}|undefined} */ #lastSample;
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see ProcessMetrics.create
+   * @see ProcessMetrics.createNull
+   */
+  constructor(
+    /**
+     * @type {Pick<NodeJS.Process, 'cpuUsage'|'memoryUsage'|'uptime'|'getActiveResourcesInfo'>}
+     */ proc,
+    /** @type {Clock} */ clock,
+    /** @type {Timer} */ timer,
+    /** @type {number} */ step,
+  ) {
+    this.#process = proc;
+    this.#clock = clock;
+    this.#timer = timer;
+    this.#step = step;
+    this.#previousSample = this.#takeSample();
+  }
+
+  /**
+   * Starts sampling and registers the gauges.
+   *
+   * @param {MeterRegistry} registry
+   */
+  bindTo(registry) {
+    if (this.#step > 0) {
+      this.#timer.scheduleAtFixedRate(
+        new SampleTask(() => this.sample()),
+        this.#step,
+        this.#step,
+      );
+    }
+    registry.gauge('process.cpu.usage', {}, () => this.#getCpuUsage());
+    registry.gauge('process.cpu.time', {}, () => this.#getCpuTime() / 1e6);
+    registry.gauge('process.uptime', {}, () => this.#process.uptime());
+    registry.gauge(
+      'process.memory.rss',
+      {},
+      () => this.#process.memoryUsage().rss,
+    );
+    registry.gauge(
+      'nodejs.heap.used',
+      {},
+      () => this.#process.memoryUsage().heapUsed,
+    );
+    registry.gauge(
+      'nodejs.heap.total',
+      {},
+      () => this.#process.memoryUsage().heapTotal,
+    );
+    registry.gauge(
+      'nodejs.external.memory',
+      {},
+      () => this.#process.memoryUsage().external,
+    );
+    registry.gauge(
+      'nodejs.active.handles',
+      {},
+      () => this.#process.getActiveResourcesInfo().length,
+    );
+  }
+
+  /**
+   * Samples the CPU usage.
+   *
+   * Is called every step. The gauge reports the CPU usage between the last
+   * two samples, before the first sample since the creation.
+   */
+  sample() {
+    if (this.#lastSample != null) {
+      this.#previousSample = this.#lastSample;
+    }
+    this.#lastSample = this.#takeSample();
+  }
+
+  /**
+   * Stops sampling.
+   */
+  close() {
+    this.#timer.cancel();
+  }
+
+  #getCpuTime() {
+    const { user, system } = this.#process.cpuUsage();
+    return user + system;
+  }
+
+  #takeSample() {
+    return { cpuTime: this.#getCpuTime(), millis: this.#clock.millis() };
+  }
+
+  #getCpuUsage() {
+    const previous = this.#previousSample;
+    const last = this.#lastSample ?? this.#takeSample();
+    const elapsed = (last.millis - previous.millis) * 1000;
+    return elapsed > 0 ? (last.cpuTime - previous.cpuTime) / elapsed : 0;
+  }
+}
+
+class SampleTask extends TimerTask {
+  #sample;
+
+  constructor(/** @type {function(): void} */ sample) {
+    super();
+    this.#sample = sample;
+  }
+
+  /**
+   * @override
+   */
+  run() {
+    this.#sample();
+  }
+}
+
+/**
+ * Binds gauges for the delay and utilization of the event loop to a meter
+ * registry.
+ *
+ * Registers the gauges:
+ * - `nodejs.eventloop.lag`, `nodejs.eventloop.lag.max`,
+ *   `nodejs.eventloop.lag.p99`: the mean, maximum and 99th percentile of the
+ *   event loop delay in seconds since the start of monitoring
+ * - `nodejs.eventloop.utilization`: the ratio of time the event loop was busy
+ *   in the last step, between 0 and 1
+ */
+export class EventLoopMetrics {
+  /**
+   * Creates the event loop metrics.
+   *
+   * @param {object} [options]
+   * @param {number} [options.resolution=20] The sampling rate of the event
+   *   loop delay in milliseconds.
+   * @param {number} [options.step=60000] The interval in milliseconds the
+   *   event loop utilization is sampled.
+   * @return {EventLoopMetrics}
+   */
+  static create({ resolution = 20, step = 60000 } = {}) {
+    return new EventLoopMetrics(
+      monitorEventLoopDelay({ resolution }),
+      (utilization1, utilization2) =>
+        performance.eventLoopUtilization(utilization1, utilization2),
+      Timer.create(),
+      step,
+    );
+  }
+
+  /**
+   * Creates nulled event loop metrics with fixed values.
+   *
+   * The utilization is only sampled when `sample()` is called.
+   *
+   * @param {object} [options]
+   * @param {{mean: number, max: number, p99: number}} [options.delay] The
+   *   event loop delay in nanoseconds.
+   * @param {number} [options.utilization=0]
+   * @return {EventLoopMetrics}
+   */
+  static createNull({
+    delay = { mean: 0, max: 0, p99: 0 },
+    utilization = 0,
+  } = {}) {
+    return new EventLoopMetrics(
+      {
+        mean: delay.mean,
+        max: delay.max,
+        percentile: () => delay.p99,
+        enable: () => true,
+        disable: () => true,
+      },
+      () => ({ idle: 0, active: 0, utilization }),
+      Timer.createNull(),
+      0,
+    );
+  }
+
+  #histogram;
+  #eventLoopUtilization;
+  #timer;
+  #step;
+  /** @type {import('node:perf_hooks').EventLoopUtilization} */
+  #previousSample;
+  /** @type {import('node:perf_hooks').EventLoopUtilization|undefined} */
+  #lastSample;
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see EventLoopMetrics.create
+   * @see EventLoopMetrics.createNull
+   */
+  constructor(
+    /**
+     * @type {Pick<import('node:perf_hooks').IntervalHistogram, 'mean'|'max'|'percentile'|'enable'|'disable'>}
+     */ histogram,
+    /**
+     * @type {function(*=, *=): import('node:perf_hooks').EventLoopUtilization}
+     */ eventLoopUtilization,
+    /** @type {Timer} */ timer,
+    /** @type {number} */ step,
+  ) {
+    this.#histogram = histogram;
+    this.#eventLoopUtilization = eventLoopUtilization;
+    this.#timer = timer;
+    this.#step = step;
+  }
+
+  /**
+   * Starts monitoring and registers the gauges.
+   *
+   * @param {MeterRegistry} registry
+   */
+  bindTo(registry) {
+    this.#histogram.enable();
+    this.#previousSample = this.#eventLoopUtilization();
+    if (this.#step > 0) {
+      this.#timer.scheduleAtFixedRate(
+        new SampleTask(() => this.sample()),
+        this.#step,
+        this.#step,
+      );
+    }
+    registry.gauge('nodejs.eventloop.lag', {}, () =>
+      toSeconds(this.#histogram.mean),
+    );
+    registry.gauge('nodejs.eventloop.lag.max', {}, () =>
+      toSeconds(this.#histogram.max),
+    );
+    registry.gauge('nodejs.eventloop.lag.p99', {}, () =>
+      toSeconds(this.#histogram.percentile(99)),
+    );
+    registry.gauge('nodejs.eventloop.utilization', {}, () => {
+      const last = this.#lastSample ?? this.#eventLoopUtilization();
+      return this.#eventLoopUtilization(last, this.#previousSample).utilization;
+    });
+  }
+
+  /**
+   * Samples the event loop utilization.
+   *
+   * Is called every step. The gauge reports the utilization between the last
+   * two samples, before the first sample since the start of monitoring.
+   */
+  sample() {
+    if (this.#lastSample != null) {
+      this.#previousSample = this.#lastSample;
+    }
+    this.#lastSample = this.#eventLoopUtilization();
+  }
+
+  /**
+   * Stops monitoring.
+   */
+  close() {
+    this.#histogram.disable();
+    this.#timer.cancel();
+  }
+}
+
+function toSeconds(/** @type {number} */ nanos) {
+  return Number.isNaN(nanos) ? 0 : nanos / 1e9;
+}
+
+/**
+ * Binds a timer for the pauses of the garbage collector to a meter registry.
+ *
+ * Registers the timer `nodejs.gc.pause` with the tag `kind`: `major`, `minor`,
+ * `incremental` or `weakcb`.
+ */
+export class GcMetrics {
+  /**
+   * Creates the garbage collector metrics.
+   *
+   * @return {GcMetrics}
+   */
+  static create() {
+    return new GcMetrics((callback) => {
+      const observer = new PerformanceObserver((list) =>
+        list.getEntries().forEach(callback),
+      );
+      observer.observe({ entryTypes: ['gc'] });
+      return () => observer.disconnect();
+    });
+  }
+
+  /**
+   * Creates nulled garbage collector metrics.
+   *
+   * @return {GcMetrics}
+   * @see GcMetrics#simulateGc
+   */
+  static createNull() {
+    return new GcMetrics(() => () => {});
+  }
+
+  #observe;
+  /** @type {function(): void} */ #disconnect;
+  /** @type {function(object): void} */ #callback;
+
+  /**
+   * The constructor is for internal use. Use the factory methods instead.
+   *
+   * @see GcMetrics.create
+   * @see GcMetrics.createNull
+   */
+  constructor(
+    /**
+     * @type {function(function(object): void): function(): void}
+     */ observe,
+  ) {
+    this.#observe = observe;
+  }
+
+  /**
+   * Starts observing and registers the timers.
+   *
+   * @param {MeterRegistry} registry
+   */
+  bindTo(registry) {
+    this.#callback = (entry) => {
+      const kind = GC_KINDS.get(entry.detail?.kind) ?? 'unknown';
+      registry.timer('nodejs.gc.pause', { kind }).record(entry.duration);
+    };
+    this.#disconnect = this.#observe(this.#callback);
+  }
+
+  /**
+   * Stops observing.
+   */
+  close() {
+    this.#disconnect?.();
+    this.#callback = undefined;
+  }
+
+  /**
+   * Simulates a pause of the garbage collector.
+   *
+   * @param {object} options
+   * @param {number} options.kind The kind of the garbage collection, e.g.
+   *   `constants.NODE_PERFORMANCE_GC_MAJOR`.
+   * @param {number} options.duration The duration in milliseconds.
+   */
+  simulateGc({ kind, duration }) {
+    this.#callback?.({ duration, detail: { kind } });
+  }
+}
+
+const GC_KINDS = new Map([
+  [constants.NODE_PERFORMANCE_GC_MAJOR, 'major'],
+  [constants.NODE_PERFORMANCE_GC_MINOR, 'minor'],
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL, 'incremental'],
+  [constants.NODE_PERFORMANCE_GC_WEAKCB, 'weakcb'],
+]);
+
+/**
+ * Creates an Express middleware that records the timer `http.server.requests`
+ * for each request.
+ *
+ * The timer is tagged with `method`, `uri`, `status` and `outcome`. The `uri`
+ * is the route template, e.g. `/api/users/:id`, to keep the number of tags
+ * bounded. Requests without a matching route are tagged with `NOT_FOUND`,
+ * `REDIRECTION` or `UNKNOWN`. Requests aborted before the response has
+ * finished, e.g. by the client, have the outcome `UNKNOWN`.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const app = express();
+ * app.use(requestMetrics(meterRegistry));
+ * ```
+ *
+ * @param {MeterRegistry} registry The registry to record the timer.
+ * @param {object} [options]
+ * @param {Clock} [options.clock=Clock.system()]
+ * @return {express.RequestHandler}
+ */
+export function requestMetrics(registry, { clock = Clock.system() } = {}) {
+  return (request, response, next) => {
+    const start = clock.millis();
+    onceCompleted(response, (finished) => {
+      const route = request.route?.path;
+      recordRequest(registry, {
+        method: request.method,
+        uri: route != null ? request.baseUrl + route : undefined,
+        status: response.statusCode,
+        finished,
+        duration: clock.millis() - start,
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Wraps a `node:http` request listener to record the timer
+ * `http.server.requests` for each request.
+ *
+ * Works like {@link requestMetrics} without depending on a framework. Plain
+ * `node:http` does not know route templates, so the `uri` tag must be provided
+ * by a function mapping the request to a template.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const server = http.createServer(
+ *   requestMetricsListener(listener, meterRegistry, {
+ *     uri: (request) => new URL(request.url, 'http://localhost').pathname,
+ *   }),
+ * );
+ * ```
+ *
+ * @param {http.RequestListener} listener The request listener to wrap.
+ * @param {MeterRegistry} registry The registry to record the timer.
+ * @param {object} [options]
+ * @param {function(http.IncomingMessage): (string|undefined)} [options.uri]
+ *   Maps a request to the `uri` tag, default is `UNKNOWN`.
+ * @param {Clock} [options.clock=Clock.system()]
+ * @return {http.RequestListener}
+ */
+export function requestMetricsListener(
+  listener,
+  registry,
+  { uri = () => undefined, clock = Clock.system() } = {},
+) {
+  return (request, response) => {
+    const start = clock.millis();
+    onceCompleted(response, (finished) => {
+      recordRequest(registry, {
+        method: request.method,
+        uri: uri(request),
+        status: response.statusCode,
+        finished,
+        duration: clock.millis() - start,
+      });
+    });
+    return listener(request, response);
+  };
+}
+
+function onceCompleted(
+  /** @type {import('node:events').EventEmitter} */ response,
+  /** @type {function(boolean): void} */ callback,
+) {
+  // A response emits `close` after `finish` or without `finish` if the
+  // connection was closed before, e.g. by the client.
+  let completed = false;
+  const complete = (/** @type {boolean} */ finished) => {
+    if (!completed) {
+      completed = true;
+      callback(finished);
+    }
+  };
+  response.once('finish', () => complete(true));
+  response.once('close', () => complete(false));
+}
+
+function recordRequest(
+  /** @type {MeterRegistry} */ registry,
+  /**
+   * @type {{
+   *   method: string,
+   *   uri?: string,
+   *   status: number,
+   *   finished: boolean,
+   *   duration: number,
+   * }}
+   */ { method, uri, status, finished, duration },
+) {
+  const outcome = finished ? getOutcome(status) : 'UNKNOWN';
+  if (uri == null) {
+    if (status === 404) {
+      uri = 'NOT_FOUND';
+    } else if (outcome === 'REDIRECTION') {
+      uri = 'REDIRECTION';
+    } else {
+      uri = 'UNKNOWN';
+    }
+  }
+  registry
+    .timer('http.server.requests', {
+      method,
+      uri,
+      status: String(status),
+      outcome,
+    })
+    .record(duration);
+}
+
+function getOutcome(/** @type {number} */ status) {
+  if (status >= 100 && status < 200) {
+    return 'INFORMATIONAL';
+  } else if (status >= 200 && status < 300) {
+    return 'SUCCESS';
+  } else if (status >= 300 && status < 400) {
+    return 'REDIRECTION';
+  } else if (status >= 400 && status < 500) {
+    return 'CLIENT_ERROR';
+  } else if (status >= 500 && status < 600) {
+    return 'SERVER_ERROR';
+  }
+  return 'UNKNOWN';
+}
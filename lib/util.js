@@ -9,6 +9,7 @@
  * @module
  */
 
+import { sleep } from './lang.js';
 import { Clock } from './time.js';
 
 // TODO deep equals
@@ -58,6 +59,58 @@ export function deepMerge(target, source) {
   return target;
 }
 
+/**
+ * Posts a JSON body and retries a failed request with exponential backoff.
+ *
+ * A request fails if the server is not reachable or responds with an error
+ * status.
+ *
+ * @param {object} options The request options.
+ * @param {string|URL} options.url The URL to post to.
+ * @param {string} options.body The JSON body.
+ * @param {typeof globalThis.fetch} options.fetch The fetch function.
+ * @param {number} [options.retry=0] The number of retries of a failed
+ *   request.
+ * @param {number} [options.retryDelay=0] The delay in milliseconds before the
+ *   first retry, doubled for each further retry.
+ * @param {function(): void} [options.onSend] Is called before each attempt,
+ *   e.g. to track the requests.
+ * @return {Promise<void>} A promise that rejects with the error of the last
+ *   attempt if all attempts failed.
+ */
+export async function postJsonWithRetry({
+  url,
+  body,
+  fetch,
+  retry = 0,
+  retryDelay = 0,
+  onSend = () => {},
+}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      onSend();
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+      });
+      if (!response.ok) {
+        throw new Error(
+          `HTTP error: ${response.status} ${response.statusText}`,
+        );
+      }
+
+      return;
+    } catch (error) {
+      if (attempt >= retry) {
+        throw error;
+      }
+
+      await sleep(retryDelay * 2 ** attempt);
+    }
+  }
+}
+
 /**
  * An instance of `Random` is used to generate random numbers.
  */
@@ -228,7 +281,7 @@ export class TimerTask {
  * A timer that schedules and cancels tasks.
  *
  * Tasks may be scheduled for one-time execution or for repeated execution at
- * regular intervals.
+ * regular intervals. The timer does not keep a Node.js process alive.
  */
 export class Timer extends EventTarget {
   /**
@@ -251,6 +304,9 @@ export class Timer extends EventTarget {
   /** @type {globalThis} */
   #global;
 
+  /** @type {ReturnType<globalThis.setTimeout>|undefined} */
+  #timeoutId;
+
   /** @type {TimerTask[]} */
   _queue;
 
@@ -300,6 +356,7 @@ export class Timer extends EventTarget {
       task.cancel();
     }
     this._queue = [];
+    this.#clearTimeout();
   }
 
   /**
@@ -340,41 +397,63 @@ export class Timer extends EventTarget {
     task._period = period;
     task._state = TASK_SCHEDULED;
     this._queue.push(task);
-    this._queue.sort((a, b) => b._nextExecutionTime - a._nextExecutionTime);
+    this.#sortQueue();
     if (this._queue[0] === task) {
       this.#runMainLoop();
     }
   }
 
+  #sortQueue() {
+    this._queue.sort((a, b) => a._nextExecutionTime - b._nextExecutionTime);
+  }
+
   #runMainLoop() {
-    if (this._queue.length === 0) {
-      return;
-    }
+    this.#clearTimeout();
+    while (this._queue.length > 0) {
+      const task = this._queue[0];
+      if (task._state === TASK_CANCELLED) {
+        this._queue.shift();
+        continue;
+      }
 
-    const task = this._queue[0];
-    if (task._state === TASK_CANCELLED) {
-      this._queue.shift();
-      return this.#runMainLoop();
-    }
+      const now = this.#clock.millis();
+      const executionTime = task._nextExecutionTime;
+      if (executionTime > now) {
+        this.#timeoutId = this.#global.setTimeout(
+          () => this.#runMainLoop(),
+          executionTime - now,
+        );
+        // @ts-ignore unref is only defined in Node.js
+        this.#timeoutId?.unref?.();
+        return;
+      }
 
-    const now = this.#clock.millis();
-    const executionTime = task._nextExecutionTime;
-    const taskFired = executionTime <= now;
-    if (taskFired) {
       if (task._period === 0) {
         this._queue.shift();
         task._state = TASK_EXECUTED;
       } else {
         task._nextExecutionTime =
           task._period < 0 ? now - task._period : executionTime + task._period;
+        this.#sortQueue();
+      }
+      try {
+        task.run();
+      } catch (error) {
+        console.error('Failed to run timer task.', error);
       }
-      task.run();
-    } else {
-      this.#global.setTimeout(() => this.#runMainLoop(), executionTime - now);
+    }
+  }
+
+  #clearTimeout() {
+    if (this.#timeoutId != null) {
+      this.#global.clearTimeout(this.#timeoutId);
+      this.#timeoutId = undefined;
     }
   }
 }
 
 class TimeoutStub {
   setTimeout() {}
+
+  clearTimeout() {}
 }
@@ -0,0 +1,590 @@
+// Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
+
+import { describe, expect, it } from 'vitest';
+
+import {
+  ApplicationAvailability,
+  CompositeHealthContributor,
+  Health,
+  HealthContributorRegistry,
+  LivenessState,
+  ReadinessState,
+  Status,
+} from '../../lib/health.js';
+import {
+  Level,
+  LogManager,
+  LogRecord,
+  MemoryHandler,
+  SimpleFormatter,
+} from '../../lib/logging.js';
+import { MeterRegistry } from '../../lib/metrics.js';
+import { ActuatorController } from '../../lib/node/actuator-controller.js';
+
+describe('Actuator controller', () => {
+  describe('Logfile', () => {
+    it('Does not register route without memory handler', () => {
+      const app = new AppStub();
+
+      new ActuatorController({}, new HealthContributorRegistry(), app, {
+        logManager: new LogManager(),
+      });
+
+      expect(app.routes.has('GET /actuator/logfile')).toBe(false);
+    });
+
+    it('Returns recent log records', async () => {
+      const { app } = await configure();
+
+      const response = await app.request('/actuator/logfile');
+
+      expect(response).toEqual({
+        status: 200,
+        headers: { 'Content-Type': 'text/plain' },
+        body:
+          '2024-07-02T09:38:00.000Z [app.web] DEBUG - debug message\n' +
+          '2024-07-02T09:38:00.000Z [app.web] WARNING - warning message\n' +
+          '2024-07-02T09:38:00.000Z [lib] ERROR - error message\n',
+      });
+    });
+
+    it('Filters log records by level and logger', async () => {
+      const { app } = await configure();
+
+      const response = await app.request('/actuator/logfile', {
+        query: { level: 'info', logger: 'app' },
+      });
+
+      expect(response.body).toEqual(
+        '2024-07-02T09:38:00.000Z [app.web] WARNING - warning message\n',
+      );
+    });
+
+    it('Rejects unknown level', async () => {
+      const { app } = await configure();
+
+      const response = await app.request('/actuator/logfile', {
+        query: { level: 'verbose' },
+      });
+
+      expect(response).toEqual(
+        expect.objectContaining({
+          status: 400,
+          body: 'Bad log level "VERBOSE".',
+        }),
+      );
+    });
+
+    it('Rejects log records if not authorized', async () => {
+      const { app } = await configure({ isAuthorized: () => false });
+
+      const response = await app.request('/actuator/logfile');
+
+      expect(response).toEqual(expect.objectContaining({ status: 403 }));
+    });
+  });
+
+  describe('Loggers', () => {
+    it('Lists loggers with configured and effective levels', () => {
+      const { app, logManager } = configureLoggers();
+      logManager.demandLogger('app').level = Level.WARNING;
+      logManager.demandLogger('app.web');
+
+      const response = app.request('/actuator/loggers');
+
+      expect(response).toEqual({
+        status: 200,
+        body: {
+          levels: ['OFF', 'ERROR', 'WARNING', 'INFO', 'DEBUG', 'TRACE', 'ALL'],
+          loggers: {
+            root: { configuredLevel: 'INFO', effectiveLevel: 'INFO' },
+            app: { configuredLevel: 'WARNING', effectiveLevel: 'WARNING' },
+            'app.web': { configuredLevel: null, effectiveLevel: 'WARNING' },
+          },
+        },
+      });
+    });
+
+    it('Returns single logger', () => {
+      const { app, logManager } = configureLoggers();
+      logManager.demandLogger('app');
+
+      const response = app.request('/actuator/loggers/app');
+
+      expect(response).toEqual({
+        status: 200,
+        body: { configuredLevel: null, effectiveLevel: 'INFO' },
+      });
+    });
+
+    it('Returns not found for unknown logger', () => {
+      const { app } = configureLoggers();
+
+      const response = app.request('/actuator/loggers/unknown');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('Changes level at runtime', async () => {
+      const { app, logManager } = configureLoggers();
+      logManager.demandLogger('app');
+
+      const response = await app.request('/actuator/loggers/app', {
+        method: 'POST',
+        body: { configuredLevel: 'debug' },
+      });
+
+      expect(response.status).toBe(204);
+      expect(logManager.getLogger('app').level).toBe(Level.DEBUG);
+    });
+
+    it('Resets level at runtime', async () => {
+      const { app, logManager } = configureLoggers();
+      logManager.demandLogger('app').level = Level.DEBUG;
+
+      const response = await app.request('/actuator/loggers/app', {
+        method: 'POST',
+        body: { configuredLevel: null },
+      });
+
+      expect(response.status).toBe(204);
+      expect(logManager.getLogger('app').level).toBeUndefined();
+    });
+
+    it('Changes level of root logger', async () => {
+      const { app, logManager } = configureLoggers();
+
+      await app.request('/actuator/loggers/root', {
+        method: 'POST',
+        body: { configuredLevel: 'ERROR' },
+      });
+
+      expect(logManager.getLogger('').level).toBe(Level.ERROR);
+    });
+
+    it('Rejects reset of root logger', async () => {
+      const { app, logManager } = configureLoggers();
+
+      const response = await app.request('/actuator/loggers/root', {
+        method: 'POST',
+        body: {},
+      });
+
+      expect(response).toEqual(
+        expect.objectContaining({
+          status: 400,
+          body: 'Root logger must have a level.',
+        }),
+      );
+      expect(logManager.getLogger('').level).toBe(Level.INFO);
+    });
+
+    it('Rejects unknown level', async () => {
+      const { app, logManager } = configureLoggers();
+      logManager.demandLogger('app');
+
+      const response = await app.request('/actuator/loggers/app', {
+        method: 'POST',
+        body: { configuredLevel: 'verbose' },
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('Does not create unknown logger', async () => {
+      const { app, logManager } = configureLoggers();
+
+      const response = await app.request('/actuator/loggers/unknown', {
+        method: 'POST',
+        body: { configuredLevel: 'DEBUG' },
+      });
+
+      expect(response.status).toBe(404);
+      expect(logManager.getLogger('unknown')).toBeUndefined();
+    });
+
+    it('Rejects change of level if not authorized', async () => {
+      const { app, logManager } = configureLoggers({
+        isAuthorized: () => false,
+      });
+      logManager.demandLogger('app');
+
+      const response = await app.request('/actuator/loggers/app', {
+        method: 'POST',
+        body: { configuredLevel: 'DEBUG' },
+      });
+
+      expect(response.status).toBe(403);
+      expect(logManager.getLogger('app').level).toBeUndefined();
+    });
+  });
+
+  describe('Health', () => {
+    it('Returns health of contributors', async () => {
+      const { app, registry } = configureHealth();
+      registry.registerContributor('db', {
+        async health() {
+          return Health.down({ details: { database: 'postgres' } });
+        },
+      });
+
+      const response = await app.request('/actuator/health');
+
+      expect(response).toEqual({
+        status: 503,
+        body: {
+          status: Status.DOWN,
+          components: {
+            livenessState: { status: Status.UP },
+            readinessState: { status: Status.UP },
+            db: { status: Status.DOWN, details: { database: 'postgres' } },
+          },
+        },
+      });
+    });
+
+    it('Returns health of nested contributor', async () => {
+      const { app, registry } = configureHealth();
+      registry.registerContributor(
+        'db',
+        CompositeHealthContributor.fromMap({
+          primary: { health: () => Health.up() },
+          replica: { health: () => Health.down() },
+        }),
+      );
+
+      const response = await app.request('/actuator/health/db/primary');
+
+      expect(response).toEqual({ status: 200, body: { status: Status.UP } });
+    });
+
+    it('Returns not found for unknown contributor', async () => {
+      const { app } = configureHealth();
+
+      const response = await app.request('/actuator/health/unknown');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('Returns only status to unauthorized caller', async () => {
+      const { app, registry } = configureHealth({
+        showDetails: 'when-authorized',
+        isAuthorized: (request) => request.get('Authorization') === 'secret',
+      });
+      registry.registerContributor('db', { health: () => Health.up() });
+
+      const anonymous = await app.request('/actuator/health');
+      const authorized = await app.request('/actuator/health', {
+        headers: { Authorization: 'secret' },
+      });
+
+      expect(anonymous).toEqual({ status: 200, body: { status: Status.UP } });
+      expect(authorized.body.components.db).toEqual({ status: Status.UP });
+    });
+
+    it('Returns liveness probe', async () => {
+      const { app, availability } = configureHealth();
+      availability.livenessState = LivenessState.BROKEN;
+
+      const response = await app.request('/actuator/health/liveness');
+
+      expect(response).toEqual({
+        status: 503,
+        body: {
+          status: Status.DOWN,
+          components: { livenessState: { status: Status.DOWN } },
+        },
+      });
+    });
+
+    it('Returns readiness probe', async () => {
+      const { app, availability, registry } = configureHealth();
+      registry.registerContributor('db', { health: () => Health.down() });
+      availability.readinessState = ReadinessState.REFUSING_TRAFFIC;
+
+      const response = await app.request('/actuator/health/readiness');
+
+      expect(response).toEqual({
+        status: 503,
+        body: {
+          status: Status.OUT_OF_SERVICE,
+          components: { readinessState: { status: Status.OUT_OF_SERVICE } },
+        },
+      });
+    });
+
+    it('Returns contributor of group', async () => {
+      const { app } = configureHealth();
+
+      const response = await app.request(
+        '/actuator/health/readiness/readinessState',
+      );
+
+      expect(response).toEqual({ status: 200, body: { status: Status.UP } });
+    });
+
+    it('Returns not found for contributor outside of group', async () => {
+      const { app } = configureHealth();
+
+      const response = await app.request(
+        '/actuator/health/liveness/readinessState',
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Metrics', () => {
+    it('Lists meter names', () => {
+      const { app, meterRegistry } = configureMetrics();
+      meterRegistry.counter('requests', { method: 'GET' });
+      meterRegistry.counter('requests', { method: 'POST' });
+      meterRegistry.gauge('heap', {}, () => 42);
+
+      const response = app.request('/actuator/metrics');
+
+      expect(response).toEqual({
+        status: 200,
+        body: { names: ['heap', 'requests'] },
+      });
+    });
+
+    it('Aggregates measurements of meters with same name', () => {
+      const { app, meterRegistry } = configureMetrics();
+      meterRegistry.timer('http', { method: 'GET', status: '200' }).record(20);
+      meterRegistry.timer('http', { method: 'GET', status: '404' }).record(5);
+      meterRegistry.timer('http', { method: 'POST', status: '200' }).record(30);
+
+      const response = app.request('/actuator/metrics/http');
+
+      expect(response).toEqual({
+        status: 200,
+        body: {
+          name: 'http',
+          measurements: [
+            { statistic: 'COUNT', value: 3 },
+            { statistic: 'TOTAL_TIME', value: 55 },
+            { statistic: 'MAX', value: 30 },
+          ],
+          availableTags: [
+            { tag: 'method', values: ['GET', 'POST'] },
+            { tag: 'status', values: ['200', '404'] },
+          ],
+        },
+      });
+    });
+
+    it('Filters meters by tag', () => {
+      const { app, meterRegistry } = configureMetrics();
+      meterRegistry.timer('http', { method: 'GET', status: '200' }).record(20);
+      meterRegistry.timer('http', { method: 'GET', status: '404' }).record(5);
+      meterRegistry.timer('http', { method: 'POST', status: '200' }).record(30);
+
+      const response = app.request('/actuator/metrics/http', {
+        query: { tag: 'method:GET' },
+      });
+
+      expect(response.body).toEqual({
+        name: 'http',
+        measurements: [
+          { statistic: 'COUNT', value: 2 },
+          { statistic: 'TOTAL_TIME', value: 25 },
+          { statistic: 'MAX', value: 20 },
+        ],
+        availableTags: [{ tag: 'status', values: ['200', '404'] }],
+      });
+    });
+
+    it('Rejects malformed tag', () => {
+      const { app, meterRegistry } = configureMetrics();
+      meterRegistry.counter('requests');
+
+      const response = app.request('/actuator/metrics/requests', {
+        query: { tag: 'method' },
+      });
+
+      expect(response).toEqual(
+        expect.objectContaining({
+          status: 400,
+          body: 'Bad tag "method", expected "key:value".',
+        }),
+      );
+    });
+
+    it('Returns not found for unknown meter', () => {
+      const { app } = configureMetrics();
+
+      const response = app.request('/actuator/metrics/unknown');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Prometheus', () => {
+    it('Returns metrics in Prometheus text format', () => {
+      const { app, meterRegistry } = configureMetrics();
+      meterRegistry.counter('requests').increment(3);
+
+      const response = app.request('/actuator/prometheus');
+
+      expect(response).toEqual({
+        status: 200,
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+        body:
+          '# HELP requests_total requests\n' +
+          '# TYPE requests_total counter\n' +
+          'requests_total 3\n',
+      });
+    });
+
+    it('Returns metrics in OpenMetrics format if accepted', () => {
+      const { app, meterRegistry } = configureMetrics();
+      meterRegistry.counter('requests').increment(3);
+
+      const response = app.request('/actuator/prometheus', {
+        headers: { Accept: 'application/openmetrics-text; version=1.0.0' },
+      });
+
+      expect(response).toEqual({
+        status: 200,
+        headers: {
+          'Content-Type':
+            'application/openmetrics-text; version=1.0.0; charset=utf-8',
+        },
+        body:
+          '# HELP requests requests\n' +
+          '# TYPE requests counter\n' +
+          'requests_total 3\n' +
+          '# EOF\n',
+      });
+    });
+  });
+});
+
+function configureHealth({ showDetails = 'always', isAuthorized } = {}) {
+  const registry = new HealthContributorRegistry();
+  const availability = new ApplicationAvailability();
+  const app = new AppStub();
+  new ActuatorController({}, registry, app, {
+    logManager: new LogManager(),
+    availability,
+    showDetails,
+    isAuthorized,
+  });
+  return { app, availability, registry };
+}
+
+function configureMetrics() {
+  const meterRegistry = MeterRegistry.create();
+  const app = new AppStub();
+  new ActuatorController(meterRegistry, new HealthContributorRegistry(), app, {
+    logManager: new LogManager(),
+  });
+  return { app, meterRegistry };
+}
+
+function configureLoggers({ isAuthorized = () => true } = {}) {
+  const logManager = new LogManager();
+  const app = new AppStub();
+  new ActuatorController({}, new HealthContributorRegistry(), app, {
+    logManager,
+    isAuthorized,
+  });
+  return { app, logManager };
+}
+
+async function configure({ isAuthorized = () => true } = {}) {
+  const memoryHandler = new MemoryHandler();
+  memoryHandler.formatter = new SimpleFormatter();
+  await memoryHandler.publish(createRecord(Level.DEBUG, 'app.web', 'debug'));
+  await memoryHandler.publish(
+    createRecord(Level.WARNING, 'app.web', 'warning'),
+  );
+  await memoryHandler.publish(createRecord(Level.ERROR, 'lib', 'error'));
+  const app = new AppStub();
+  new ActuatorController({}, new HealthContributorRegistry(), app, {
+    memoryHandler,
+    logManager: new LogManager(),
+    isAuthorized,
+  });
+  return { app };
+}
+
+function createRecord(level, loggerName, message) {
+  const record = new LogRecord(level, `${message} message`);
+  record.date = new Date('2024-07-02T09:38:00.000Z');
+  record.loggerName = loggerName;
+  return record;
+}
+
+class AppStub {
+  routes = new Map();
+
+  get(route, ...handlers) {
+    this.routes.set(`GET ${route}`, handlers.at(-1));
+  }
+
+  post(route, ...handlers) {
+    // Ignore middleware like body parsers.
+    this.routes.set(`POST ${route}`, handlers.at(-1));
+  }
+
+  request(path, { method = 'GET', query = {}, headers = {}, body } = {}) {
+    for (const [route, handler] of this.routes) {
+      const params = matchRoute(route, `${method} ${path}`);
+      if (params != null) {
+        const response = new ResponseStub();
+        const get = (name) => headers[name];
+        const result = handler({ params, query, body, get }, response);
+        if (result instanceof Promise) {
+          return result.then(() => response.result);
+        }
+        return response.result;
+      }
+    }
+    return { status: 404 };
+  }
+}
+
+function matchRoute(route, path) {
+  const names = [];
+  const regex = route
+    .replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })
+    .replace('*', () => {
+      names.push('0');
+      return '(.*)';
+    });
+  const match = path.match(new RegExp(`^${regex}$`));
+  if (match == null) {
+    return undefined;
+  }
+
+  return Object.fromEntries(names.map((name, i) => [name, match[i + 1]]));
+}
+
+class ResponseStub {
+  result = { status: 200 };
+
+  status(status) {
+    this.result.status = status;
+    return this;
+  }
+
+  header(headers) {
+    this.result.headers = headers;
+    return this;
+  }
+
+  send(body) {
+    this.result.body = body;
+    return this;
+  }
+
+  json(body) {
+    this.result.body = body;
+    return this;
+  }
+}
@@ -3,13 +3,24 @@
 import { describe, expect, it } from 'vitest';
 
 import {
+  ApplicationAvailability,
+  CompositeHealth,
+  CompositeHealthContributor,
   Health,
   HealthContributorRegistry,
   HealthEndpoint,
+  HttpHealthIndicator,
+  IncludeExcludeHealthEndpointGroup,
+  LivenessState,
+  LivenessStateHealthIndicator,
+  PingHealthIndicator,
+  ReadinessState,
+  ReadinessStateHealthIndicator,
   SimpleHttpCodeStatusMapper,
   SimpleStatusAggregator,
   Status,
 } from '../../lib/health.js';
+import { Clock } from '../../lib/time.js';
 
 describe('Health', () => {
   it('Creates default health', () => {
@@ -20,15 +31,15 @@ describe('Health', () => {
   });
 
   describe('Health endpoint', () => {
-    it('Returns default health', () => {
+    it('Returns default health', async () => {
       const { endpoint } = configure();
 
-      const response = endpoint.health();
+      const response = await endpoint.health();
 
       expect(response).toEqual({ status: 200, body: { status: Status.UP } });
     });
 
-    it('Registers health indicators', () => {
+    it('Registers health indicators', async () => {
       const { endpoint, registry } = configure();
       registry.registerContributor('test', {
         health() {
@@ -36,7 +47,7 @@ describe('Health', () => {
         },
       });
 
-      const response = endpoint.health();
+      const response = await endpoint.health();
 
       expect(response).toEqual({
         status: 200,
@@ -47,7 +58,7 @@ describe('Health', () => {
       });
     });
 
-    it('Determines the worst status', () => {
+    it('Determines the worst status', async () => {
       const { endpoint, registry } = configure();
       registry.registerContributor('test1', {
         health() {
@@ -60,7 +71,7 @@ describe('Health', () => {
         },
       });
 
-      const response = endpoint.health();
+      const response = await endpoint.health();
 
       expect(response).toEqual({
         status: 503,
@@ -74,7 +85,7 @@ describe('Health', () => {
       });
     });
 
-    it('Returns the details', () => {
+    it('Returns the details', async () => {
       const { endpoint, registry } = configure();
       registry.registerContributor('test', {
         health() {
@@ -84,7 +95,7 @@ describe('Health', () => {
         },
       });
 
-      const response = endpoint.health();
+      const response = await endpoint.health();
 
       expect(response).toEqual({
         status: 200,
@@ -100,7 +111,7 @@ describe('Health', () => {
       });
     });
 
-    it('Adds an error to the details', () => {
+    it('Adds an error to the details', async () => {
       const { endpoint, registry } = configure();
       registry.registerContributor('test', {
         health() {
@@ -110,7 +121,7 @@ describe('Health', () => {
         },
       });
 
-      const response = endpoint.health();
+      const response = await endpoint.health();
 
       expect(response).toEqual({
         status: 503,
@@ -125,16 +136,565 @@ describe('Health', () => {
         },
       });
     });
+
+    it('Calls asynchronous health indicators in parallel', async () => {
+      const { endpoint, registry } = configure();
+      const calls = [];
+      registry.registerContributor('db', {
+        async health() {
+          calls.push('db');
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          return Health.up();
+        },
+      });
+      registry.registerContributor('api', {
+        async health() {
+          calls.push('api');
+          return Health.down();
+        },
+      });
+
+      const response = endpoint.health();
+      expect(calls).toEqual(['db', 'api']);
+
+      expect(await response).toEqual({
+        status: 503,
+        body: {
+          status: Status.DOWN,
+          components: {
+            db: { status: Status.UP },
+            api: { status: Status.DOWN },
+          },
+        },
+      });
+    });
+
+    it('Reports down if health indicator fails', async () => {
+      const { endpoint, registry } = configure();
+      registry.registerContributor('test', {
+        async health() {
+          throw new Error('Connection refused');
+        },
+      });
+
+      const response = await endpoint.health();
+
+      expect(response.body.components.test).toEqual({
+        status: Status.DOWN,
+        details: { error: 'Error: Connection refused' },
+      });
+    });
+
+    it('Reports down if health indicator times out', async () => {
+      const { endpoint, registry } = configure({ timeout: 10 });
+      registry.registerContributor('test', {
+        health() {
+          return new Promise(() => {});
+        },
+      });
+
+      const response = await endpoint.health();
+
+      expect(response).toEqual({
+        status: 503,
+        body: {
+          status: Status.DOWN,
+          components: {
+            test: {
+              status: Status.DOWN,
+              details: {
+                error: 'TimeoutError: Health check timed out after 10 ms.',
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('Uses timeout of health indicator', async () => {
+      const { endpoint, registry } = configure({ timeout: 60000 });
+      registry.registerContributor('test', {
+        timeout: 10,
+        health() {
+          return new Promise(() => {});
+        },
+      });
+
+      const response = await endpoint.health();
+
+      expect(response.body.components.test.details).toEqual({
+        error: 'TimeoutError: Health check timed out after 10 ms.',
+      });
+    });
+
+    it('Aborts health indicator when timed out', async () => {
+      const { endpoint, registry } = configure({ timeout: 10 });
+      let signal;
+      registry.registerContributor('test', {
+        health(options) {
+          signal = options.signal;
+          return new Promise(() => {});
+        },
+      });
+
+      await endpoint.health();
+
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason.message).toEqual(
+        'Health check timed out after 10 ms.',
+      );
+    });
+
+    it('Caches health for time to live', async () => {
+      const clock = Clock.fixed();
+      const { endpoint, registry } = configure({
+        cacheTimeToLive: 5000,
+        clock,
+      });
+      let calls = 0;
+      registry.registerContributor('test', {
+        health() {
+          calls++;
+          return Health.up();
+        },
+      });
+
+      await endpoint.health();
+      clock.add(4999);
+      await endpoint.health();
+      expect(calls).toBe(1);
+
+      clock.add(1);
+      await endpoint.health();
+      expect(calls).toBe(2);
+    });
+
+    it('Does not cache unknown paths', async () => {
+      const { endpoint, registry } = configure({
+        cacheTimeToLive: 5000,
+        clock: Clock.fixed(),
+      });
+
+      await endpoint.health({ path: ['test'] });
+      registry.registerContributor('test', { health: () => Health.up() });
+      const response = await endpoint.health({ path: ['test'] });
+
+      expect(response).toEqual({ status: 200, body: { status: Status.UP } });
+    });
+
+    it('Does not cache health by default', async () => {
+      const { endpoint, registry } = configure();
+      let calls = 0;
+      registry.registerContributor('test', {
+        health() {
+          calls++;
+          return Health.up();
+        },
+      });
+
+      await endpoint.health();
+      await endpoint.health();
+
+      expect(calls).toBe(2);
+    });
+
+    it('Aggregates nested contributors', async () => {
+      const { endpoint, registry } = configure();
+      registry.registerContributor('app', { health: () => Health.up() });
+      registry.registerContributor(
+        'db',
+        CompositeHealthContributor.fromMap({
+          primary: { health: () => Health.up() },
+          replica: { health: async () => Health.outOfService() },
+        }),
+      );
+
+      const response = await endpoint.health();
+
+      expect(response).toEqual({
+        status: 503,
+        body: {
+          status: Status.OUT_OF_SERVICE,
+          components: {
+            app: { status: Status.UP },
+            db: {
+              status: Status.OUT_OF_SERVICE,
+              components: {
+                primary: { status: Status.UP },
+                replica: { status: Status.OUT_OF_SERVICE },
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('Returns health of composite contributor by path', async () => {
+      const { endpoint, registry } = configure();
+      registry.registerContributor('app', { health: () => Health.down() });
+      registry.registerContributor(
+        'db',
+        CompositeHealthContributor.fromMap({
+          primary: { health: () => Health.up() },
+        }),
+      );
+
+      const response = await endpoint.health({ path: ['db'] });
+
+      expect(response).toEqual({
+        status: 200,
+        body: {
+          status: Status.UP,
+          components: { primary: { status: Status.UP } },
+        },
+      });
+    });
+
+    it('Returns health of nested indicator by path', async () => {
+      const { endpoint, registry } = configure();
+      registry.registerContributor(
+        'db',
+        CompositeHealthContributor.fromMap(
+          new Map([['primary', { health: () => Health.down() }]]),
+        ),
+      );
+
+      const response = await endpoint.health({ path: ['db', 'primary'] });
+
+      expect(response).toEqual({
+        status: 503,
+        body: { status: Status.DOWN },
+      });
+    });
+
+    it('Returns undefined for unknown path', async () => {
+      const { endpoint, registry } = configure();
+      registry.registerContributor(
+        'db',
+        CompositeHealthContributor.fromMap({
+          primary: { health: () => Health.up() },
+        }),
+      );
+
+      expect(await endpoint.health({ path: ['unknown'] })).toBeUndefined();
+      expect(
+        await endpoint.health({ path: ['db', 'unknown'] }),
+      ).toBeUndefined();
+      expect(
+        await endpoint.health({ path: ['db', 'primary', 'x'] }),
+      ).toBeUndefined();
+    });
+
+    it('Returns health of group members', async () => {
+      const { endpoint, registry } = configure({
+        additional: {
+          readiness: new IncludeExcludeHealthEndpointGroup({
+            include: ['db', 'cache'],
+            showDetails: 'always',
+          }),
+        },
+      });
+      registry.registerContributor('db', { health: () => Health.up() });
+      registry.registerContributor('cache', { health: () => Health.up() });
+      registry.registerContributor('disk', { health: () => Health.down() });
+
+      const response = await endpoint.health({ path: ['readiness'] });
+
+      expect(response).toEqual({
+        status: 200,
+        body: {
+          status: Status.UP,
+          components: {
+            db: { status: Status.UP },
+            cache: { status: Status.UP },
+          },
+        },
+      });
+    });
+
+    it('Excludes contributors from group', async () => {
+      const { endpoint, registry } = configure({
+        additional: {
+          custom: new IncludeExcludeHealthEndpointGroup({
+            exclude: ['disk'],
+            showDetails: 'always',
+          }),
+        },
+      });
+      registry.registerContributor('db', { health: () => Health.up() });
+      registry.registerContributor('disk', { health: () => Health.down() });
+
+      const response = await endpoint.health({ path: ['custom'] });
+
+      expect(response.body.components).toEqual({
+        db: { status: Status.UP },
+      });
+      expect(
+        await endpoint.health({ path: ['custom', 'disk'] }),
+      ).toBeUndefined();
+    });
+
+    it('Uses status aggregator and mapper of group', async () => {
+      const { endpoint, registry } = configure({
+        additional: {
+          lenient: new IncludeExcludeHealthEndpointGroup({
+            statusAggregator: new SimpleStatusAggregator([
+              Status.UP,
+              Status.DOWN,
+            ]),
+            httpCodeStatusMapper: new SimpleHttpCodeStatusMapper(
+              new Map([[Status.DOWN, 500]]),
+            ),
+            showDetails: 'always',
+          }),
+        },
+      });
+      registry.registerContributor('db', { health: () => Health.up() });
+      registry.registerContributor('cache', { health: () => Health.down() });
+
+      const response = await endpoint.health({ path: ['lenient'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe(Status.UP);
+      expect(
+        (await endpoint.health({ path: ['lenient', 'cache'] })).status,
+      ).toBe(500);
+    });
+  });
+
+  describe('Visibility', () => {
+    it('Shows only status by default', async () => {
+      const { endpoint } = configureVisibility({});
+
+      const response = await endpoint.health();
+
+      expect(response).toEqual({
+        status: 503,
+        body: new CompositeHealth(Status.DOWN),
+      });
+    });
+
+    it('Shows components without details', async () => {
+      const { endpoint } = configureVisibility({
+        showComponents: 'always',
+      });
+
+      const response = await endpoint.health();
+
+      expect(response.body).toEqual({
+        status: Status.DOWN,
+        components: {
+          db: {
+            status: Status.DOWN,
+            components: { primary: { status: Status.DOWN } },
+          },
+        },
+      });
+      expect(response.body.components.db.components.primary.details).toBe(
+        undefined,
+      );
+    });
+
+    it('Shows details and components when authorized', async () => {
+      const { endpoint } = configureVisibility({
+        showDetails: 'when-authorized',
+      });
+
+      const anonymous = await endpoint.health();
+      const authorized = await endpoint.health({ authorized: true });
+
+      expect(anonymous.body).toEqual({ status: Status.DOWN });
+      expect(authorized.body).toEqual({
+        status: Status.DOWN,
+        components: {
+          db: {
+            status: Status.DOWN,
+            components: {
+              primary: {
+                status: Status.DOWN,
+                details: { error: 'Error: Connection refused' },
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('Hides contributors by path if components are not shown', async () => {
+      const { endpoint } = configureVisibility({
+        showComponents: 'when-authorized',
+      });
+
+      expect(await endpoint.health({ path: ['db'] })).toBeUndefined();
+      expect(
+        await endpoint.health({ path: ['db'], authorized: true }),
+      ).toBeDefined();
+    });
+
+    it('Applies visibility to cached health', async () => {
+      const { endpoint } = configureVisibility({
+        showDetails: 'when-authorized',
+        cacheTimeToLive: 5000,
+      });
+
+      await endpoint.health({ authorized: true });
+      const response = await endpoint.health();
+
+      expect(response.body).toEqual({ status: Status.DOWN });
+    });
+  });
+
+  describe('Availability', () => {
+    it('Reports liveness state', () => {
+      const availability = new ApplicationAvailability();
+      const indicator = new LivenessStateHealthIndicator(availability);
+
+      expect(indicator.health()).toEqual(Health.up());
+
+      availability.livenessState = LivenessState.BROKEN;
+      expect(indicator.health()).toEqual(Health.down());
+    });
+
+    it('Reports readiness state', () => {
+      const availability = new ApplicationAvailability({
+        readinessState: ReadinessState.REFUSING_TRAFFIC,
+      });
+      const indicator = new ReadinessStateHealthIndicator(availability);
+
+      expect(indicator.health()).toEqual(Health.outOfService());
+
+      availability.readinessState = ReadinessState.ACCEPTING_TRAFFIC;
+      expect(indicator.health()).toEqual(Health.up());
+    });
+  });
+
+  describe('Ping health indicator', () => {
+    it('Reports up', () => {
+      const indicator = new PingHealthIndicator();
+
+      expect(indicator.health()).toEqual(Health.up());
+    });
+  });
+
+  describe('HTTP health indicator', () => {
+    it('Reports up if dependency responds successfully', async () => {
+      const indicator = HttpHealthIndicator.createNull({
+        url: 'http://example.com/health',
+        fetchResponse: { status: 204 },
+      });
+
+      const health = await indicator.health();
+
+      expect(health).toEqual(
+        Health.up({
+          details: { url: 'http://example.com/health', status: 204 },
+        }),
+      );
+    });
+
+    it('Reports down if dependency responds with error', async () => {
+      const indicator = HttpHealthIndicator.createNull({
+        fetchResponse: { status: 503 },
+      });
+
+      const health = await indicator.health();
+
+      expect(health).toEqual(
+        Health.down({
+          details: { url: 'http://example.com/health', status: 503 },
+        }),
+      );
+    });
+
+    it('Reports down if dependency is not reachable', async () => {
+      const indicator = HttpHealthIndicator.createNull({
+        fetchResponse: new TypeError('fetch failed'),
+      });
+
+      const health = await indicator.health();
+
+      expect(health).toEqual(
+        Health.down({
+          details: {
+            url: 'http://example.com/health',
+            error: 'TypeError: fetch failed',
+          },
+        }),
+      );
+    });
+
+    it('Aborts request after timeout', async () => {
+      const fetch = (_url, { signal }) =>
+        new Promise((_resolve, reject) =>
+          signal.addEventListener('abort', () => reject(signal.reason)),
+        );
+      const indicator = new HttpHealthIndicator(
+        'http://example.com/health',
+        10,
+        fetch,
+      );
+
+      const health = await indicator.health();
+
+      expect(health.status).toBe(Status.DOWN);
+      expect(health.details).toEqual({
+        url: 'http://example.com/health',
+        error: expect.stringContaining('TimeoutError'),
+      });
+    });
+
+    it('Aborts request with signal', async () => {
+      const indicator = HttpHealthIndicator.createNull();
+      const controller = new AbortController();
+
+      controller.abort(new Error('Aborted.'));
+      const health = await indicator.health({ signal: controller.signal });
+
+      expect(health.status).toBe(Status.DOWN);
+      expect(health.details).toEqual({
+        url: 'http://example.com/health',
+        error: 'Error: Aborted.',
+      });
+    });
   });
 });
 
-function configure() {
+function configureVisibility({ showDetails, showComponents, cacheTimeToLive }) {
   const registry = new HealthContributorRegistry();
-  const endpoint = new HealthEndpoint(registry, {
-    primary: {
-      statusAggregator: new SimpleStatusAggregator(),
-      httpCodeStatusMapper: new SimpleHttpCodeStatusMapper(),
+  registry.registerContributor(
+    'db',
+    CompositeHealthContributor.fromMap({
+      primary: {
+        health: () => Health.down({ error: new Error('Connection refused') }),
+      },
+    }),
+  );
+  const endpoint = new HealthEndpoint(
+    registry,
+    {
+      primary: new IncludeExcludeHealthEndpointGroup({
+        showDetails,
+        showComponents,
+      }),
     },
-  });
+    { cacheTimeToLive, clock: Clock.fixed() },
+  );
+  return { endpoint, registry };
+}
+
+function configure({ additional, timeout, cacheTimeToLive, clock } = {}) {
+  const registry = new HealthContributorRegistry();
+  const endpoint = new HealthEndpoint(
+    registry,
+    {
+      primary: {
+        statusAggregator: new SimpleStatusAggregator(),
+        httpCodeStatusMapper: new SimpleHttpCodeStatusMapper(),
+        showDetails: 'always',
+      },
+      additional,
+    },
+    { timeout, cacheTimeToLive, clock },
+  );
   return { endpoint, registry };
 }
@@ -0,0 +1,168 @@
+// Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
+
+import { describe, expect, it } from 'vitest';
+
+import { Handler, Level, LogManager } from '../../lib/logging.js';
+import { LoggingController } from '../../lib/node/logging-controller.js';
+
+describe('Logging controller', () => {
+  it('Registers route', () => {
+    const app = new AppStub();
+
+    new LoggingController(app, { logManager: new LogManager() });
+
+    expect(app.routes).toEqual(['/api/logs']);
+  });
+
+  it('Publishes received records', () => {
+    const { controller, handler } = configure();
+
+    controller.receive([
+      {
+        date: '2024-07-02T09:38:00.000Z',
+        millis: 1719913080000,
+        sequence: 1,
+        logger: 'app.web',
+        level: 'WARNING',
+        message: 'warning message',
+        requestId: 'r1',
+      },
+      {
+        date: '2024-07-02T09:38:00.000Z',
+        millis: 1719913080000,
+        sequence: 2,
+        level: 'ERROR',
+        message: 'error message',
+      },
+    ]);
+
+    expect(handler.records).toEqual([
+      expect.objectContaining({
+        date: new Date('2024-07-02T09:38:00.000Z'),
+        loggerName: 'app.web',
+        level: Level.WARNING,
+        message: ['warning message'],
+        fields: { requestId: 'r1' },
+      }),
+      expect.objectContaining({
+        loggerName: null,
+        level: Level.ERROR,
+        message: ['error message'],
+      }),
+    ]);
+  });
+
+  it('Parses received JSON string', () => {
+    const { controller, handler } = configure();
+
+    controller.receive(
+      '[{"millis":1719913080000,"level":"INFO","message":"info message"}]',
+    );
+
+    expect(handler.records).toEqual([
+      expect.objectContaining({ message: ['info message'] }),
+    ]);
+  });
+
+  it('Applies levels of server', () => {
+    const { controller, handler, logManager } = configure();
+    logManager.demandLogger('app').level = Level.WARNING;
+
+    controller.receive([
+      {
+        millis: 1719913080000,
+        logger: 'app',
+        level: 'INFO',
+        message: 'info message',
+      },
+    ]);
+
+    expect(handler.records).toEqual([]);
+  });
+
+  it('Publishes with nearest existing logger', () => {
+    const { controller, handler, logManager } = configure();
+    logManager.demandLogger('app').level = Level.WARNING;
+
+    controller.receive([
+      {
+        millis: 1719913080000,
+        logger: 'app.web.client',
+        level: 'WARNING',
+        message: 'warning message',
+      },
+      {
+        millis: 1719913080000,
+        logger: 'app.web.client',
+        level: 'INFO',
+        message: 'info message',
+      },
+    ]);
+
+    expect(handler.records).toEqual([
+      expect.objectContaining({
+        loggerName: 'app.web.client',
+        message: ['warning message'],
+      }),
+    ]);
+    expect(logManager.getLogger('app.web.client')).toBeUndefined();
+    expect(logManager.getLogger('app.web')).toBeUndefined();
+  });
+
+  it('Rejects all records if one record is not valid', () => {
+    const { controller, handler } = configure();
+
+    expect(() =>
+      controller.receive([
+        { millis: 1719913080000, level: 'INFO', message: 'info message' },
+        { level: 'INFO', message: 'no date' },
+      ]),
+    ).toThrow('Log record must have a valid date or millis.');
+    expect(handler.records).toEqual([]);
+  });
+
+  it('Rejects records with invalid message or logger', () => {
+    const { controller } = configure();
+
+    expect(() =>
+      controller.receive([{ millis: 1719913080000, level: 'INFO' }]),
+    ).toThrow('Log record message must be a string.');
+    expect(() =>
+      controller.receive([
+        { millis: 1719913080000, level: 'INFO', message: 'm', logger: {} },
+      ]),
+    ).toThrow('Log record logger must be a string.');
+  });
+
+  it('Rejects records which are not an array', () => {
+    const { controller } = configure();
+
+    expect(() => controller.receive({ level: 'INFO' })).toThrow(TypeError);
+  });
+});
+
+function configure() {
+  const logManager = new LogManager();
+  const root = logManager.getLogger('');
+  root.getHandlers().forEach((h) => root.removeHandler(h));
+  const handler = new HandlerStub();
+  root.addHandler(handler);
+  const controller = new LoggingController(new AppStub(), { logManager });
+  return { controller, handler, logManager };
+}
+
+class AppStub {
+  routes = [];
+
+  post(route) {
+    this.routes.push(route);
+  }
+}
+
+class HandlerStub extends Handler {
+  records = [];
+
+  async publish(record) {
+    this.records.push(record);
+  }
+}
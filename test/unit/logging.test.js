@@ -1,16 +1,37 @@
 // Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
 
-import { describe, expect, it } from 'vitest';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { describe, expect, it, vi } from 'vitest';
 
 import {
+  AsyncHandler,
+  CompositeFilter,
   ConsoleHandler,
+  DeduplicatingHandler,
+  EcsFormatter,
   Handler,
+  HttpHandler,
   JsonFormatter,
   Level,
+  LogContext,
   Logger,
+  LoggingConfiguration,
+  LogManager,
   LogRecord,
+  MemoryHandler,
+  LogfmtFormatter,
+  LoggerNameFilter,
+  MessageFilter,
+  OtelFormatter,
+  PatternFormatter,
+  PredicateFilter,
+  RateLimitFilter,
+  SamplingFilter,
   SimpleFormatter,
+  WebSocketHandler,
 } from '../../lib/logging.js';
+import { Clock } from '../../lib/time.js';
+import { Timer } from '../../lib/util.js';
 
 describe('Logging', () => {
   describe('Level', () => {
@@ -175,20 +196,908 @@ describe('Logging', () => {
     });
   });
 
+  describe('Message supplier', () => {
+    it('calls supplier when level is loggable', () => {
+      const log = Logger.getAnonymousLogger();
+      const loggedMessages = log.trackMessagesLogged();
+
+      log.info(() => 'info message');
+
+      expect(loggedMessages.data).toEqual([
+        expect.objectContaining({ message: ['info message'] }),
+      ]);
+    });
+
+    it('does not call supplier when level is not loggable', () => {
+      const log = Logger.getAnonymousLogger();
+      log.level = Level.INFO;
+      let called = false;
+
+      log.debug(() => {
+        called = true;
+        return 'debug message';
+      });
+
+      expect(called).toBe(false);
+    });
+  });
+
+  describe('Hierarchy', () => {
+    it('uses nearest ancestor as parent', () => {
+      const parent = Logger.getLogger('hierarchy1.web');
+      const log = Logger.getLogger('hierarchy1.web.api.users');
+
+      expect(log.parent).toBe(parent);
+    });
+
+    it('updates parent when ancestor is created later', () => {
+      const log = Logger.getLogger('hierarchy2.web.api');
+      const sibling = Logger.getLogger('hierarchy2.webapp');
+      const parent = Logger.getLogger('hierarchy2.web');
+
+      expect(log.parent).toBe(parent);
+      expect(sibling.parent.name).toBe('');
+      expect(parent.parent.name).toBe('');
+    });
+
+    it('keeps nearer parent when ancestor is created later', () => {
+      const log = Logger.getLogger('hierarchy3.web.api');
+      const parent = Logger.getLogger('hierarchy3.web');
+      const grandParent = Logger.getLogger('hierarchy3');
+
+      expect(log.parent).toBe(parent);
+      expect(parent.parent).toBe(grandParent);
+    });
+
+    it('inherits level from nearest ancestor', () => {
+      Logger.getLogger('hierarchy4').level = Level.ERROR;
+      Logger.getLogger('hierarchy4.web').level = Level.DEBUG;
+      const log = Logger.getLogger('hierarchy4.web.api');
+
+      expect(log.isLoggable(Level.DEBUG)).toBe(true);
+      expect(log.isLoggable(Level.TRACE)).toBe(false);
+    });
+
+    it('publishes to handlers of ancestors', () => {
+      const parent = Logger.getLogger('hierarchy5');
+      const parentHandler = new HandlerStub();
+      parent.addHandler(parentHandler);
+      const log = Logger.getLogger('hierarchy5.web');
+      const handler = new HandlerStub();
+      log.addHandler(handler);
+
+      log.info('info message');
+
+      expect(handler.records).toEqual([
+        expect.objectContaining({ message: ['info message'] }),
+      ]);
+      expect(parentHandler.records).toEqual([
+        expect.objectContaining({ message: ['info message'] }),
+      ]);
+    });
+
+    it('does not publish to handlers of ancestors if disabled', () => {
+      const parent = Logger.getLogger('hierarchy6');
+      const parentHandler = new HandlerStub();
+      parent.addHandler(parentHandler);
+      const log = Logger.getLogger('hierarchy6.web');
+      log.useParentHandlers = false;
+      const handler = new HandlerStub();
+      log.addHandler(handler);
+
+      log.info('info message');
+
+      expect(handler.records).toEqual([
+        expect.objectContaining({ message: ['info message'] }),
+      ]);
+      expect(parentHandler.records).toEqual([]);
+    });
+  });
+
+  describe('Configuration', () => {
+    it('parses levels', () => {
+      const configuration = LoggingConfiguration.fromObject({
+        level: { root: 'WARNING', 'app.web': 'DEBUG' },
+      });
+
+      expect(configuration.level).toEqual({
+        root: Level.WARNING,
+        'app.web': Level.DEBUG,
+      });
+    });
+
+    it('uses INFO for root logger by default', () => {
+      const configuration = LoggingConfiguration.fromObject();
+
+      expect(configuration.level).toEqual({ root: Level.INFO });
+    });
+
+    it('applies levels per logger', () => {
+      const manager = LogManager.getLogManager();
+      const configuration = LoggingConfiguration.fromObject({
+        level: { 'configuration1.web': 'DEBUG', 'configuration1.db': 'ERROR' },
+      });
+
+      manager.readConfiguration(configuration);
+
+      const log = Logger.getLogger('configuration1.web.api');
+      expect(log.isLoggable(Level.DEBUG)).toBe(true);
+      expect(Logger.getLogger('configuration1.db').level).toBe(Level.ERROR);
+    });
+
+    it('creates console handler for root logger by default', () => {
+      const manager = new LogManager();
+
+      manager.readConfiguration(LoggingConfiguration.fromObject());
+
+      const root = manager.getLogger('');
+      expect(root.level).toBe(Level.INFO);
+      expect(root.getHandlers()).toEqual([expect.any(ConsoleHandler)]);
+      expect(root.getHandlers()[0].level).toBe(Level.ALL);
+      expect(root.getHandlers()[0].formatter).toBeInstanceOf(SimpleFormatter);
+    });
+
+    it('configures console handler', () => {
+      const manager = new LogManager();
+
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({
+          console: { level: 'WARNING', formatter: 'json' },
+        }),
+      );
+
+      const handler = manager.getLogger('').getHandlers()[0];
+      expect(handler.level).toBe(Level.WARNING);
+      expect(handler.formatter).toBeInstanceOf(JsonFormatter);
+    });
+
+    it('disables console handler', () => {
+      const manager = new LogManager();
+
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({ console: { enabled: false } }),
+      );
+
+      expect(manager.getLogger('').getHandlers()).toEqual([]);
+    });
+
+    it('reconfigures at runtime', () => {
+      const manager = new LogManager();
+      const log = manager.demandLogger('app.web');
+      const handler = new HandlerStub();
+      log.addHandler(handler);
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({
+          level: { root: 'WARNING', 'app.web': 'DEBUG' },
+        }),
+      );
+
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({
+          level: { root: 'ERROR', 'app.db': 'DEBUG' },
+          console: { formatter: 'json' },
+        }),
+      );
+
+      const root = manager.getLogger('');
+      expect(root.level).toBe(Level.ERROR);
+      expect(root.getHandlers()).toEqual([expect.any(ConsoleHandler)]);
+      expect(root.getHandlers()[0].formatter).toBeInstanceOf(JsonFormatter);
+      expect(log.level).toBeUndefined();
+      expect(log.getHandlers()).toEqual([handler]);
+      expect(manager.getLogger('app.db').level).toBe(Level.DEBUG);
+    });
+
+    it('keeps handlers added by application when reconfiguring', () => {
+      const manager = new LogManager();
+      const root = manager.getLogger('');
+      const handler = new HandlerStub();
+      root.addHandler(handler);
+
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({ console: { formatter: 'json' } }),
+      );
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({ console: { enabled: false } }),
+      );
+
+      expect(root.getHandlers()).toEqual([handler]);
+      expect(handler.closed).toBe(false);
+    });
+
+    it('fails for unknown formatter', () => {
+      const manager = new LogManager();
+
+      expect(() =>
+        manager.readConfiguration(
+          LoggingConfiguration.fromObject({ console: { formatter: 'foo' } }),
+        ),
+      ).toThrow('Unknown formatter "foo".');
+      expect(manager.getLogger('').getHandlers()).toEqual([
+        expect.any(ConsoleHandler),
+      ]);
+    });
+  });
+
+  describe('Fields', () => {
+    it('adds fields of child logger', () => {
+      const log = Logger.getAnonymousLogger();
+      const child = log.withFields({ requestId: 'r1' });
+      const loggedMessages = child.trackMessagesLogged();
+
+      child.info('info message');
+
+      expect(loggedMessages.data).toEqual([
+        expect.objectContaining({
+          message: ['info message'],
+          fields: { requestId: 'r1' },
+        }),
+      ]);
+    });
+
+    it('merges fields of nested child loggers', () => {
+      const log = Logger.getAnonymousLogger();
+      const child = log
+        .withFields({ requestId: 'r1', userId: 'u1' })
+        .withFields({ userId: 'u2' });
+      const loggedMessages = child.trackMessagesLogged();
+
+      child.info('info message');
+
+      expect(loggedMessages.data).toEqual([
+        expect.objectContaining({ fields: { requestId: 'r1', userId: 'u2' } }),
+      ]);
+    });
+
+    it('uses level and handlers of parent logger', () => {
+      const log = Logger.getAnonymousLogger();
+      log.level = Level.WARNING;
+      const handler = new HandlerStub();
+      log.addHandler(handler);
+      const child = log.withFields({ requestId: 'r1' });
+
+      child.info('info message');
+      child.warning('warning message');
+
+      expect(child.name).toBe(log.name);
+      expect(handler.records).toEqual([
+        expect.objectContaining({
+          message: ['warning message'],
+          fields: { requestId: 'r1' },
+        }),
+      ]);
+    });
+
+    it('applies filter of parent logger', () => {
+      const log = Logger.getAnonymousLogger();
+      log.filter = { isLoggable: (record) => record.level === Level.WARNING };
+      const handler = new HandlerStub();
+      log.addHandler(handler);
+      const child = log.withFields({ requestId: 'r1' });
+
+      child.info('info message');
+      child.warning('warning message');
+
+      expect(handler.records).toEqual([
+        expect.objectContaining({ message: ['warning message'] }),
+      ]);
+    });
+
+    it('tracks messages of child logger on parent logger', () => {
+      const log = Logger.getAnonymousLogger();
+      const loggedMessages = log.trackMessagesLogged();
+      const child = log
+        .withFields({ requestId: 'r1' })
+        .withFields({ userId: 'u1' });
+
+      child.info('info message');
+
+      expect(loggedMessages.data).toEqual([
+        expect.objectContaining({
+          message: ['info message'],
+          fields: { requestId: 'r1', userId: 'u1' },
+        }),
+      ]);
+    });
+
+    it('adds fields of context', () => {
+      const log = Logger.getAnonymousLogger();
+      const loggedMessages = log.trackMessagesLogged();
+
+      LogContext.run({ requestId: 'r1' }, () => {
+        LogContext.run({ userId: 'u1' }, () => log.info('info message'));
+      });
+      log.info('other message');
+
+      expect(loggedMessages.data).toEqual([
+        expect.objectContaining({
+          message: ['info message'],
+          fields: { requestId: 'r1', userId: 'u1' },
+        }),
+        expect.objectContaining({
+          message: ['other message'],
+          fields: undefined,
+        }),
+      ]);
+    });
+
+    it('prefers fields of logger over fields of context', () => {
+      const log = Logger.getAnonymousLogger().withFields({ userId: 'u2' });
+      const loggedMessages = log.trackMessagesLogged();
+
+      LogContext.run({ requestId: 'r1', userId: 'u1' }, () =>
+        log.info('info message'),
+      );
+
+      expect(loggedMessages.data).toEqual([
+        expect.objectContaining({ fields: { requestId: 'r1', userId: 'u2' } }),
+      ]);
+    });
+
+    it('propagates context through asynchronous calls', async () => {
+      const storage = LogContext.getStorage();
+      LogContext.setStorage(new AsyncLocalStorage());
+      const log = Logger.getAnonymousLogger();
+      const loggedMessages = log.trackMessagesLogged();
+
+      try {
+        await LogContext.run({ requestId: 'r1' }, async () => {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+          log.info('info message');
+        });
+      } finally {
+        LogContext.setStorage(storage);
+      }
+
+      expect(loggedMessages.data).toEqual([
+        expect.objectContaining({ fields: { requestId: 'r1' } }),
+      ]);
+    });
+  });
+
   describe('Handler', () => {
     it('handles all levels as default', () => {
       const handler = new Handler();
 
-      expect(handler.isLoggable(Level.ALL)).toEqual(true);
+      expect(handler.isLoggable(Level.ALL)).toEqual(true);
+    });
+
+    it('does not handle below level', () => {
+      const handler = new Handler();
+      handler.level = Level.WARNING;
+
+      expect(handler.isLoggable(Level.ERROR)).toEqual(true);
+      expect(handler.isLoggable(Level.WARNING)).toEqual(true);
+      expect(handler.isLoggable(Level.INFO)).toEqual(false);
+    });
+  });
+
+  describe('Filter', () => {
+    it('filters records of logger', () => {
+      const log = Logger.getAnonymousLogger();
+      log.filter = new MessageFilter({ exclude: /secret/ });
+      const loggedMessages = log.trackMessagesLogged();
+
+      log.info('public message');
+      log.info('secret message');
+
+      expect(loggedMessages.data).toEqual([
+        expect.objectContaining({ message: ['public message'] }),
+      ]);
+    });
+
+    it('filters records of handler', () => {
+      const handler = new Handler();
+      handler.filter = new LoggerNameFilter({ include: ['app.audit'] });
+
+      expect(handler.isLoggable(createRecord(Level.INFO, 'm', 'app'))).toBe(
+        false,
+      );
+      expect(
+        handler.isLoggable(createRecord(Level.INFO, 'm', 'app.audit.user')),
+      ).toBe(true);
+    });
+
+    it('checks level before filter of handler', () => {
+      const handler = new Handler();
+      handler.level = Level.WARNING;
+      handler.filter = new PredicateFilter(() => true);
+
+      expect(handler.isLoggable(createRecord(Level.INFO, 'm'))).toBe(false);
+    });
+
+    it('includes and excludes by logger name', () => {
+      const filter = new LoggerNameFilter({
+        include: ['app'],
+        exclude: ['app.web.static'],
+      });
+
+      expect(filter.isLoggable(createRecord(Level.INFO, 'm', 'app'))).toBe(
+        true,
+      );
+      expect(filter.isLoggable(createRecord(Level.INFO, 'm', 'app.web'))).toBe(
+        true,
+      );
+      expect(
+        filter.isLoggable(createRecord(Level.INFO, 'm', 'app.web.static')),
+      ).toBe(false);
+      expect(
+        filter.isLoggable(createRecord(Level.INFO, 'm', 'application')),
+      ).toBe(false);
+      expect(filter.isLoggable(createRecord(Level.INFO, 'm'))).toBe(false);
+    });
+
+    it('includes and excludes by message', () => {
+      const filter = new MessageFilter({
+        include: /user/g,
+        exclude: /password/,
+      });
+
+      expect(filter.isLoggable(createRecord(Level.INFO, 'user created'))).toBe(
+        true,
+      );
+      expect(filter.isLoggable(createRecord(Level.INFO, 'user deleted'))).toBe(
+        true,
+      );
+      expect(
+        filter.isLoggable(createRecord(Level.INFO, 'user password changed')),
+      ).toBe(false);
+      expect(filter.isLoggable(createRecord(Level.INFO, 'started'))).toBe(
+        false,
+      );
+    });
+
+    it('samples by rate', () => {
+      const random = [0.1, 0.5, 0.3];
+      const filter = new SamplingFilter(0.4, () => random.shift());
+
+      const results = [1, 2, 3].map(() =>
+        filter.isLoggable(createRecord(Level.INFO, 'm')),
+      );
+
+      expect(results).toEqual([true, false, true]);
+    });
+
+    it('limits rate per logger', () => {
+      const clock = Clock.fixed();
+      const filter = new RateLimitFilter({ limit: 2, interval: 1000, clock });
+
+      const results = [1, 2, 3].map(() =>
+        filter.isLoggable(createRecord(Level.INFO, 'm', 'app')),
+      );
+      const otherLogger = filter.isLoggable(
+        createRecord(Level.INFO, 'm', 'lib'),
+      );
+
+      expect(results).toEqual([true, true, false]);
+      expect(otherLogger).toBe(true);
+    });
+
+    it('refills rate limit over time', () => {
+      const clock = Clock.fixed();
+      const filter = new RateLimitFilter({ limit: 2, interval: 1000, clock });
+      filter.isLoggable(createRecord(Level.INFO, 'm'));
+      filter.isLoggable(createRecord(Level.INFO, 'm'));
+
+      clock.add(500);
+      const results = [1, 2].map(() =>
+        filter.isLoggable(createRecord(Level.INFO, 'm')),
+      );
+
+      expect(results).toEqual([true, false]);
+    });
+
+    it('chains filters', () => {
+      const filter = new CompositeFilter([
+        new LoggerNameFilter({ include: ['app'] }),
+        new PredicateFilter((record) => record.level >= Level.WARNING),
+      ]);
+
+      expect(filter.isLoggable(createRecord(Level.ERROR, 'm', 'app'))).toBe(
+        true,
+      );
+      expect(filter.isLoggable(createRecord(Level.INFO, 'm', 'app'))).toBe(
+        false,
+      );
+      expect(filter.isLoggable(createRecord(Level.ERROR, 'm', 'lib'))).toBe(
+        false,
+      );
+    });
+  });
+
+  describe('Async handler', () => {
+    it('publishes records in batches', async () => {
+      const target = new HandlerStub();
+      const handler = new AsyncHandler(target, { batchSize: 2 });
+
+      handler.publish(new LogRecord(Level.INFO, 'message 1'));
+      handler.publish(new LogRecord(Level.INFO, 'message 2'));
+      handler.publish(new LogRecord(Level.INFO, 'message 3'));
+      await handler.flush();
+
+      expect(target.batches).toEqual([
+        [
+          expect.objectContaining({ message: ['message 1'] }),
+          expect.objectContaining({ message: ['message 2'] }),
+        ],
+        [expect.objectContaining({ message: ['message 3'] })],
+      ]);
+    });
+
+    it('drops records when queue is full', async () => {
+      const target = new HandlerStub();
+      const handler = new AsyncHandler(target, { capacity: 2 });
+      const log = Logger.getAnonymousLogger();
+      log.addHandler(handler);
+
+      log.info('message 1');
+      log.info('message 2');
+      log.info('message 3');
+      await handler.flush();
+
+      expect(handler.dropped).toBe(1);
+      expect(target.records).toEqual([
+        expect.objectContaining({ message: ['message 1'] }),
+        expect.objectContaining({ message: ['message 2'] }),
+      ]);
+    });
+
+    it('does not queue records below level', async () => {
+      const target = new HandlerStub();
+      const handler = new AsyncHandler(target);
+      handler.level = Level.WARNING;
+
+      handler.publish(new LogRecord(Level.INFO, 'message 1'));
+      await handler.flush();
+
+      expect(target.records).toEqual([]);
+    });
+
+    it('flushes and closes target when closed', async () => {
+      const target = new HandlerStub();
+      const handler = new AsyncHandler(target);
+
+      handler.publish(new LogRecord(Level.INFO, 'message 1'));
+      await handler.close();
+
+      expect(target.records).toEqual([
+        expect.objectContaining({ message: ['message 1'] }),
+      ]);
+      expect(target.closed).toBe(true);
+    });
+
+    it('is flushed by log manager', async () => {
+      const manager = new LogManager();
+      const target = new HandlerStub();
+      manager.demandLogger('app').addHandler(new AsyncHandler(target));
+
+      manager.demandLogger('app').info('message 1');
+      await manager.close();
+
+      expect(target.records).toEqual([
+        expect.objectContaining({ message: ['message 1'] }),
+      ]);
+      expect(target.closed).toBe(true);
+    });
+  });
+
+  describe('Memory handler', () => {
+    it('keeps last records', async () => {
+      const handler = new MemoryHandler({ size: 2 });
+
+      await handler.publish(createRecord(Level.INFO, 'message 1'));
+      await handler.publish(createRecord(Level.INFO, 'message 2'));
+      await handler.publish(createRecord(Level.INFO, 'message 3'));
+
+      expect(handler.records).toEqual([
+        expect.objectContaining({ message: ['message 2'] }),
+        expect.objectContaining({ message: ['message 3'] }),
+      ]);
+    });
+
+    it('pushes records to target when push level is reached', async () => {
+      const target = new HandlerStub();
+      const handler = new MemoryHandler({ target, pushLevel: Level.ERROR });
+
+      await handler.publish(createRecord(Level.DEBUG, 'debug message'));
+      await handler.publish(createRecord(Level.INFO, 'info message'));
+      const before = [...target.records];
+      await handler.publish(createRecord(Level.ERROR, 'error message'));
+
+      expect(before).toEqual([]);
+      expect(target.batches).toEqual([
+        [
+          expect.objectContaining({ message: ['debug message'] }),
+          expect.objectContaining({ message: ['info message'] }),
+          expect.objectContaining({ message: ['error message'] }),
+        ],
+      ]);
+      expect(handler.records).toEqual([]);
+    });
+
+    it('does not keep records below level', async () => {
+      const handler = new MemoryHandler();
+      handler.level = Level.INFO;
+
+      await handler.publish(createRecord(Level.DEBUG, 'debug message'));
+
+      expect(handler.records).toEqual([]);
+    });
+  });
+
+  describe('Deduplicating handler', () => {
+    it('collapses repeated records within window', async () => {
+      const target = new HandlerStub();
+      const clock = Clock.fixed();
+      const handler = new DeduplicatingHandler(target, {
+        window: 60000,
+        clock,
+        timer: Timer.createNull({ clock }),
+      });
+
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+      clock.add(1000);
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+      await handler.publish(createRecord(Level.INFO, 'connected'));
+
+      expect(target.records).toEqual([
+        expect.objectContaining({ message: ['connection refused'] }),
+        expect.objectContaining({
+          level: Level.ERROR,
+          message: ['connection refused (repeated 2 times)'],
+        }),
+        expect.objectContaining({ message: ['connected'] }),
+      ]);
+    });
+
+    it('publishes record again when window has expired', async () => {
+      const target = new HandlerStub();
+      const clock = Clock.fixed();
+      const handler = new DeduplicatingHandler(target, {
+        window: 1000,
+        clock,
+        timer: Timer.createNull({ clock }),
+      });
+
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+      clock.add(1000);
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+
+      expect(target.records).toEqual([
+        expect.objectContaining({ message: ['connection refused'] }),
+        expect.objectContaining({
+          message: ['connection refused (repeated 1 time)'],
+        }),
+        expect.objectContaining({ message: ['connection refused'] }),
+      ]);
+    });
+
+    it('publishes summary when window expires', async () => {
+      const target = new HandlerStub();
+      const clock = Clock.fixed();
+      const timer = Timer.createNull({ clock });
+      const handler = new DeduplicatingHandler(target, {
+        window: 1000,
+        clock,
+        timer,
+      });
+
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+      clock.add(200);
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+      await handler.publish(createRecord(Level.ERROR, 'connection refused'));
+      timer.simulateTaskExecution({ ticks: 799 });
+      await Promise.resolve();
+
+      expect(target.records).toEqual([
+        expect.objectContaining({ message: ['connection refused'] }),
+      ]);
+
+      timer.simulateTaskExecution({ ticks: 1 });
+      await Promise.resolve();
+
+      expect(target.records).toEqual([
+        expect.objectContaining({ message: ['connection refused'] }),
+        expect.objectContaining({
+          message: ['connection refused (repeated 2 times)'],
+        }),
+      ]);
+    });
+
+    it('publishes summary on flush', async () => {
+      const target = new HandlerStub();
+      const clock = Clock.fixed();
+      const handler = new DeduplicatingHandler(target, {
+        clock,
+        timer: Timer.createNull({ clock }),
+      });
+
+      await handler.publish(createRecord(Level.WARNING, 'slow response'));
+      await handler.publish(createRecord(Level.WARNING, 'slow response'));
+      await handler.flush();
+
+      expect(target.records).toEqual([
+        expect.objectContaining({ message: ['slow response'] }),
+        expect.objectContaining({
+          message: ['slow response (repeated 1 time)'],
+        }),
+      ]);
+    });
+
+    it('does not collapse records of different loggers', async () => {
+      const target = new HandlerStub();
+      const clock = Clock.fixed();
+      const handler = new DeduplicatingHandler(target, {
+        clock,
+        timer: Timer.createNull({ clock }),
+      });
+
+      await handler.publish(createRecord(Level.ERROR, 'failed', 'app.a'));
+      await handler.publish(createRecord(Level.ERROR, 'failed', 'app.b'));
+      await handler.flush();
+
+      expect(target.records).toEqual([
+        expect.objectContaining({ loggerName: 'app.a' }),
+        expect.objectContaining({ loggerName: 'app.b' }),
+      ]);
     });
+  });
 
-    it('does not handle below level', () => {
-      const handler = new Handler();
-      handler.level = Level.WARNING;
+  describe('HTTP handler', () => {
+    it('sends records as JSON array when flushed', async () => {
+      const handler = HttpHandler.createNull({ url: 'http://example.com/x' });
+      const requestsSent = handler.trackRequestsSent();
 
-      expect(handler.isLoggable(Level.ERROR)).toEqual(true);
-      expect(handler.isLoggable(Level.WARNING)).toEqual(true);
-      expect(handler.isLoggable(Level.INFO)).toEqual(false);
+      await handler.publish(createRecord(Level.INFO, 'message 1'));
+      await handler.publish(createRecord(Level.WARNING, 'message 2'));
+      await handler.flush();
+
+      expect(requestsSent.data).toEqual([
+        { url: 'http://example.com/x', body: expect.any(String) },
+      ]);
+      expect(JSON.parse(requestsSent.data[0].body)).toEqual([
+        expect.objectContaining({ level: 'INFO', message: 'message 1' }),
+        expect.objectContaining({ level: 'WARNING', message: 'message 2' }),
+      ]);
+    });
+
+    it('sends pending records repeatedly after interval', async () => {
+      const fetch = vi.fn(async () => new Response(null, { status: 204 }));
+      vi.stubGlobal('fetch', fetch);
+      const handler = HttpHandler.create({
+        url: 'http://example.com/logs',
+        interval: 10,
+      });
+
+      await handler.publish(createRecord(Level.INFO, 'message 1'));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await handler.publish(createRecord(Level.INFO, 'message 2'));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const bodies = fetch.mock.calls.map(([, { body }]) => JSON.parse(body));
+      await handler.close();
+      vi.unstubAllGlobals();
+
+      expect(bodies).toEqual([
+        [expect.objectContaining({ message: 'message 1' })],
+        [expect.objectContaining({ message: 'message 2' })],
+      ]);
+    });
+
+    it('sends records when batch size is reached', async () => {
+      const handler = HttpHandler.createNull({ batchSize: 2 });
+      const requestsSent = handler.trackRequestsSent();
+
+      await handler.publish(createRecord(Level.INFO, 'message 1'));
+      await handler.publish(createRecord(Level.INFO, 'message 2'));
+      await handler.publish(createRecord(Level.INFO, 'message 3'));
+
+      expect(requestsSent.data.length).toBe(1);
+      expect(JSON.parse(requestsSent.data[0].body)).toEqual([
+        expect.objectContaining({ message: 'message 1' }),
+        expect.objectContaining({ message: 'message 2' }),
+      ]);
+    });
+
+    it('does not send without records', async () => {
+      const handler = HttpHandler.createNull();
+      const requestsSent = handler.trackRequestsSent();
+
+      await handler.flush();
+
+      expect(requestsSent.data).toEqual([]);
+    });
+
+    it('retries failed requests', async () => {
+      const handler = HttpHandler.createNull({
+        retry: 2,
+        fetchResponse: [
+          new TypeError('Network error'),
+          { status: 503, statusText: 'Service Unavailable' },
+          { status: 204 },
+        ],
+      });
+      const requestsSent = handler.trackRequestsSent();
+
+      await handler.publish(createRecord(Level.INFO, 'message 1'));
+      await handler.flush();
+
+      expect(requestsSent.data.length).toBe(3);
+    });
+
+    it('gives up after retries', async () => {
+      const consoleError = vi
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+      const handler = HttpHandler.createNull({
+        retry: 1,
+        fetchResponse: [
+          { status: 500, statusText: 'Internal Server Error' },
+          { status: 500, statusText: 'Internal Server Error' },
+        ],
+      });
+      const requestsSent = handler.trackRequestsSent();
+
+      await handler.publish(createRecord(Level.INFO, 'message 1'));
+      await handler.flush();
+
+      expect(requestsSent.data.length).toBe(2);
+      expect(consoleError).toHaveBeenCalledOnce();
+      consoleError.mockRestore();
+    });
+
+    it('sends pending records with beacon when page is hidden', async () => {
+      const handler = HttpHandler.createNull();
+      const requestsSent = handler.trackRequestsSent();
+
+      await handler.publish(createRecord(Level.INFO, 'message 1'));
+      handler.simulatePageHide();
+      await handler.flush();
+
+      expect(requestsSent.data).toEqual([
+        {
+          url: 'http://example.com/logs',
+          body: expect.any(String),
+          beacon: true,
+        },
+      ]);
+    });
+  });
+
+  describe('WebSocket handler', () => {
+    it('sends records as JSON array', async () => {
+      const client = new WebSocketClientStub();
+      client.isConnected = true;
+      const messagesSent = client.messages;
+      const handler = new WebSocketHandler(client);
+
+      await handler.publishAll([
+        createRecord(Level.INFO, 'message 1'),
+        createRecord(Level.INFO, 'message 2'),
+      ]);
+
+      expect(messagesSent.length).toBe(1);
+      expect(JSON.parse(messagesSent[0])).toEqual([
+        expect.objectContaining({ message: 'message 1' }),
+        expect.objectContaining({ message: 'message 2' }),
+      ]);
+    });
+
+    it('buffers records until connected', async () => {
+      const client = new WebSocketClientStub();
+      const messagesSent = client.messages;
+      const handler = new WebSocketHandler(client, { capacity: 1 });
+
+      await handler.publish(createRecord(Level.INFO, 'message 1'));
+      await handler.publish(createRecord(Level.INFO, 'message 2'));
+      client.isConnected = true;
+      await handler.flush();
+
+      expect(messagesSent.length).toBe(1);
+      expect(JSON.parse(messagesSent[0])).toEqual([
+        expect.objectContaining({ message: 'message 2' }),
+      ]);
     });
   });
 
@@ -237,9 +1146,168 @@ describe('Logging', () => {
         '2024-07-02T09:38:00.000Z INFO - {"foo":"bar"} [1,2,3]',
       );
     });
+
+    it('formats message with placeholders', () => {
+      const formatter = new SimpleFormatter();
+
+      const record = new LogRecord(
+        Level.INFO,
+        'User %s logged in after %d ms, 100%% of %j',
+        'Alice',
+        '42',
+        { foo: 'bar' },
+        'extra',
+      );
+      record.date = new Date('2024-07-02T11:38:00');
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        '2024-07-02T09:38:00.000Z INFO - User Alice logged in after 42 ms, 100% of {"foo":"bar"} extra',
+      );
+    });
+
+    it('formats message with curly brace placeholders', () => {
+      const formatter = new SimpleFormatter();
+
+      const record = new LogRecord(
+        Level.INFO,
+        'User {} has {} roles, {}',
+        'Alice',
+        ['admin', 'user'],
+      );
+      record.date = new Date('2024-07-02T11:38:00');
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        '2024-07-02T09:38:00.000Z INFO - User Alice has ["admin","user"] roles, {}',
+      );
+    });
+
+    it('formats number placeholders', () => {
+      const formatter = new SimpleFormatter();
+
+      const record = new LogRecord(Level.INFO, '%i %f', '3.7', '2.5');
+      record.date = new Date('2024-07-02T11:38:00');
+      const s = formatter.format(record);
+
+      expect(s).toEqual('2024-07-02T09:38:00.000Z INFO - 3 2.5');
+    });
+
+    it('writes error with stack trace', () => {
+      const formatter = new SimpleFormatter();
+
+      const error = createError(TypeError, 'error message');
+      const record = new LogRecord(Level.ERROR, 'failed', error);
+      record.date = new Date('2024-07-02T11:38:00');
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        `2024-07-02T09:38:00.000Z ERROR - failed TypeError: error message
+TypeError: error message
+    at test.js:1:1`,
+      );
+    });
+
+    it('writes cause of error', () => {
+      const formatter = new SimpleFormatter();
+
+      const cause = createError(Error, 'cause message');
+      const error = createError(Error, 'error message', { cause });
+      const record = new LogRecord(Level.ERROR, error);
+      record.date = new Date('2024-07-02T11:38:00');
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        `2024-07-02T09:38:00.000Z ERROR - Error: error message
+Error: error message
+    at test.js:1:1
+Caused by: Error: cause message
+    at test.js:1:1`,
+      );
+    });
+
+    it('writes errors of aggregate error', () => {
+      const formatter = new SimpleFormatter();
+
+      const error = new AggregateError(
+        [
+          createError(Error, 'error 1'),
+          createError(Error, 'error 2', { cause: 'some reason' }),
+        ],
+        'aggregate message',
+      );
+      error.stack = 'AggregateError: aggregate message\n    at test.js:1:1';
+      const record = new LogRecord(Level.ERROR, error);
+      record.date = new Date('2024-07-02T11:38:00');
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        `2024-07-02T09:38:00.000Z ERROR - AggregateError: aggregate message
+AggregateError: aggregate message
+    at test.js:1:1
+  [0]: Error: error 1
+      at test.js:1:1
+  [1]: Error: error 2
+      at test.js:1:1
+  Caused by: some reason`,
+      );
+    });
   });
 
   describe('JSON formatter', () => {
+    it('Formats message with placeholders', () => {
+      const formatter = new JsonFormatter();
+
+      const record = new LogRecord(Level.INFO, 'count: {}', 5);
+      record.date = new Date('2024-07-02T11:38:00');
+      const s = formatter.format(record);
+
+      expect(JSON.parse(s).message).toEqual('count: 5');
+    });
+
+    it('Writes error', () => {
+      const formatter = new JsonFormatter();
+
+      const cause = createError(Error, 'cause message');
+      cause.code = 'ENOENT';
+      const error = new AggregateError(
+        [createError(Error, 'error 1')],
+        'aggregate message',
+        { cause },
+      );
+      error.stack = 'AggregateError: aggregate message\n    at test.js:1:1';
+      const record = new LogRecord(Level.ERROR, 'failed', error);
+      record.date = new Date('2024-07-02T11:38:00');
+      const s = formatter.format(record);
+
+      const json = JSON.parse(s);
+      expect(json).toEqual({
+        date: '2024-07-02T09:38:00.000Z',
+        millis: 1719913080000,
+        sequence: expect.any(Number),
+        level: 'ERROR',
+        message: 'failed AggregateError: aggregate message',
+        error: {
+          name: 'AggregateError',
+          message: 'aggregate message',
+          stack: 'AggregateError: aggregate message\n    at test.js:1:1',
+          cause: {
+            name: 'Error',
+            message: 'cause message',
+            stack: 'Error: cause message\n    at test.js:1:1',
+            code: 'ENOENT',
+          },
+          errors: [
+            {
+              name: 'Error',
+              message: 'error 1',
+              stack: 'Error: error 1\n    at test.js:1:1',
+            },
+          ],
+        },
+      });
+    });
+
     it('Returns 1 line', () => {
       const formatter = new JsonFormatter();
 
@@ -309,5 +1377,310 @@ describe('Logging', () => {
         message: '{"foo":"bar"} [1,2,3]',
       });
     });
+
+    it('Writes fields as properties', () => {
+      const formatter = new JsonFormatter();
+
+      const record = new LogRecord(Level.INFO, 'my message');
+      record.date = new Date('2024-07-02T11:38:00');
+      record.fields = { requestId: 'r1', level: 'foo', user: { id: 42 } };
+      const s = formatter.format(record);
+
+      const json = JSON.parse(s);
+      expect(json).toEqual({
+        date: '2024-07-02T09:38:00.000Z',
+        millis: 1719913080000,
+        sequence: expect.any(Number),
+        level: 'INFO',
+        message: 'my message',
+        requestId: 'r1',
+        user: { id: 42 },
+      });
+    });
+  });
+
+  describe('Pattern formatter', () => {
+    it('formats with default pattern', () => {
+      const formatter = new PatternFormatter();
+
+      const s = formatter.format(createRecord(Level.INFO, 'my message', 'app'));
+
+      expect(s).toEqual('2024-07-02 11:38:00.000 INFO    [app] my message');
+    });
+
+    it('formats date with pattern and time zone', () => {
+      const record = createRecord(Level.INFO, 'my message');
+      record.date = new Date('2024-07-02T09:38:12.345Z');
+
+      const local = new PatternFormatter('%d{HH:mm:ss.SSS}').format(record);
+      const utc = new PatternFormatter('%d{dd.MM.yy HH:mm, UTC}').format(
+        record,
+      );
+
+      expect(local).toEqual('11:38:12.345');
+      expect(utc).toEqual('02.07.24 09:38');
+    });
+
+    it('pads and truncates conversions', () => {
+      const formatter = new PatternFormatter('%-7level|%7level|%.1level');
+
+      const s = formatter.format(createRecord(Level.INFO, 'my message'));
+
+      expect(s).toEqual('INFO   |   INFO|I');
+    });
+
+    it('abbreviates logger name', () => {
+      const record = createRecord(Level.INFO, 'm', 'app.web.api.Controller');
+
+      const abbreviated = new PatternFormatter('%logger{20}').format(record);
+      const shortest = new PatternFormatter('%logger{10}').format(record);
+      const last = new PatternFormatter('%logger{0}').format(record);
+
+      expect(abbreviated).toEqual('a.web.api.Controller');
+      expect(shortest).toEqual('a.w.a.Controller');
+      expect(last).toEqual('Controller');
+    });
+
+    it('formats sequence number, fields and line break', () => {
+      const record = createRecord(Level.INFO, 'User %s logged in');
+      record.message.push('alice');
+      record.sequenceNumber = 42;
+      record.fields = { requestId: 'r1', userId: 7 };
+      const formatter = new PatternFormatter(
+        '#%sn %msg {%X{requestId}} {%X} 100%%%n',
+      );
+
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        '#42 User alice logged in {r1} {requestId=r1, userId=7} 100%\n',
+      );
+    });
+
+    it('formats errors', () => {
+      const formatter = new PatternFormatter('%level %msg%ex');
+      const error = createError(Error, 'Something went wrong');
+
+      const record = createRecord(Level.ERROR, 'failed');
+      record.message.push(error);
+
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        `ERROR failed Error: Something went wrong\n${error.stack}`,
+      );
+    });
+
+    it('colors level', () => {
+      const formatter = new PatternFormatter('%-5level %msg', { color: true });
+
+      const s = formatter.format(createRecord(Level.WARNING, 'my message'));
+
+      expect(s).toEqual('\x1b[33mWARNING\x1b[0m my message');
+    });
+
+    it('rejects unknown conversion', () => {
+      expect(() => new PatternFormatter('%foo')).toThrow(
+        'Bad conversion "%foo".',
+      );
+    });
+
+    it('is created by logging configuration', () => {
+      const manager = new LogManager();
+
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({
+          console: {
+            formatter: {
+              name: 'pattern',
+              pattern: '%level %msg',
+              color: false,
+            },
+          },
+        }),
+      );
+
+      const formatter = manager.getLogger('').getHandlers()[0].formatter;
+      expect(formatter).toBeInstanceOf(PatternFormatter);
+      expect(formatter.format(createRecord(Level.INFO, 'my message'))).toEqual(
+        'INFO my message',
+      );
+    });
+  });
+
+  describe('Logfmt formatter', () => {
+    it('formats record', () => {
+      const formatter = new LogfmtFormatter();
+      const record = createRecord(Level.INFO, 'User logged in', 'app');
+      record.fields = { userId: 42, ok: true };
+
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        'time=2024-07-02T09:38:00.000Z level=info logger=app ' +
+          'msg="User logged in" userId=42 ok=true',
+      );
+    });
+
+    it('quotes and escapes values', () => {
+      const formatter = new LogfmtFormatter();
+      const record = createRecord(Level.WARNING, 'a "quoted"\nvalue');
+      record.fields = { empty: '', query: 'a=b', data: { x: 1 } };
+
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        'time=2024-07-02T09:38:00.000Z level=warning ' +
+          'msg="a \\"quoted\\"\\nvalue" empty="" query="a=b" ' +
+          'data="{\\"x\\":1}"',
+      );
+    });
+
+    it('formats error', () => {
+      const formatter = new LogfmtFormatter();
+      const record = createRecord(Level.ERROR, 'failed');
+      record.message.push(createError(TypeError, 'Bad value'));
+
+      const s = formatter.format(record);
+
+      expect(s).toEqual(
+        'time=2024-07-02T09:38:00.000Z level=error ' +
+          'msg="failed TypeError: Bad value" error="TypeError: Bad value"',
+      );
+    });
+  });
+
+  describe('ECS formatter', () => {
+    it('formats record', () => {
+      const formatter = new EcsFormatter();
+      const record = createRecord(Level.INFO, 'my message', 'app');
+      record.fields = { traceId: 't1', span_id: 's1', userId: 42 };
+
+      const json = formatter.format(record);
+
+      expect(JSON.parse(json)).toEqual({
+        '@timestamp': '2024-07-02T09:38:00.000Z',
+        'log.level': 'info',
+        'log.logger': 'app',
+        message: 'my message',
+        'ecs.version': '8.11.0',
+        'trace.id': 't1',
+        'span.id': 's1',
+        userId: 42,
+      });
+    });
+
+    it('formats error', () => {
+      const formatter = new EcsFormatter();
+      const error = createError(TypeError, 'Bad value');
+      const record = createRecord(Level.ERROR, 'failed');
+      record.message.push(error);
+
+      const json = formatter.format(record);
+
+      expect(JSON.parse(json)).toEqual({
+        '@timestamp': '2024-07-02T09:38:00.000Z',
+        'log.level': 'error',
+        message: 'failed TypeError: Bad value',
+        'ecs.version': '8.11.0',
+        'error.type': 'TypeError',
+        'error.message': 'Bad value',
+        'error.stack_trace': error.stack,
+      });
+    });
+  });
+
+  describe('OpenTelemetry formatter', () => {
+    it('formats record', () => {
+      const formatter = new OtelFormatter();
+      const record = createRecord(Level.WARNING, 'my message', 'app');
+      record.fields = { trace_id: 't1', spanId: 's1', userId: 42 };
+
+      const json = formatter.format(record);
+
+      expect(JSON.parse(json)).toEqual({
+        timestamp: '2024-07-02T09:38:00.000Z',
+        severity_text: 'WARNING',
+        severity_number: 13,
+        body: 'my message',
+        trace_id: 't1',
+        span_id: 's1',
+        instrumentation_scope: { name: 'app' },
+        attributes: { userId: 42 },
+      });
+    });
+
+    it('formats error', () => {
+      const formatter = new OtelFormatter();
+      const error = createError(TypeError, 'Bad value');
+      const record = createRecord(Level.ERROR, 'failed');
+      record.message.push(error);
+
+      const json = formatter.format(record);
+
+      expect(JSON.parse(json)).toEqual({
+        timestamp: '2024-07-02T09:38:00.000Z',
+        severity_text: 'ERROR',
+        severity_number: 17,
+        body: 'failed TypeError: Bad value',
+        attributes: {
+          'exception.type': 'TypeError',
+          'exception.message': 'Bad value',
+          'exception.stacktrace': error.stack,
+        },
+      });
+    });
+
+    it('is created by logging configuration', () => {
+      const manager = new LogManager();
+
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({ console: { formatter: 'otel' } }),
+      );
+
+      const formatter = manager.getLogger('').getHandlers()[0].formatter;
+      expect(formatter).toBeInstanceOf(OtelFormatter);
+    });
   });
 });
+
+function createRecord(level, message, loggerName = null) {
+  const record = new LogRecord(level, message);
+  record.date = new Date('2024-07-02T11:38:00');
+  record.loggerName = loggerName;
+  return record;
+}
+
+function createError(ErrorType, message, options) {
+  const error = new ErrorType(message, options);
+  error.stack = `${error.name}: ${message}\n    at test.js:1:1`;
+  return error;
+}
+
+class HandlerStub extends Handler {
+  records = [];
+  batches = [];
+  closed = false;
+
+  async publish(record) {
+    this.records.push(record);
+  }
+
+  async publishAll(records) {
+    this.batches.push(records);
+    await super.publishAll(records);
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+class WebSocketClientStub {
+  isConnected = false;
+  messages = [];
+
+  async send(message) {
+    this.messages.push(message);
+  }
+}
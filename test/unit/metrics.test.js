@@ -1,24 +1,37 @@
 // Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
 
-import { describe, expect, it } from 'vitest';
+import { describe, expect, it, vi } from 'vitest';
 
+import { Level, LogRecord } from '../../lib/logging.js';
 import {
   Counter,
+  DistributionSummary,
+  Gauge,
+  MeterFilter,
   MeterId,
   MeterRegistry,
   MeterType,
+  MetricsHandler,
+  PrometheusFormatter,
+  PushMeterRegistry,
+  TimerMeter,
 } from '../../lib/metrics.js';
+import { Clock } from '../../lib/time.js';
 
 describe('Metrics', () => {
   describe('Meter registry', () => {
     it('Creates a new counter if it does not exist', () => {
       const registry = MeterRegistry.create();
 
-      const counter = registry.counter('counter1', ['tag1', 'tag2']);
+      const counter = registry.counter('counter1', { tag1: 'a', tag2: 'b' });
 
       expect(
         counter.id.equals(
-          MeterId.create({ name: 'counter1', tags: ['tag1', 'tag2'] }),
+          MeterId.create({
+            name: 'counter1',
+            tags: { tag1: 'a', tag2: 'b' },
+            type: MeterType.COUNTER,
+          }),
         ),
       ).toEqual(true);
       expect(counter.id.type).toEqual(MeterType.COUNTER);
@@ -27,11 +40,49 @@ describe('Metrics', () => {
     it('Returns the same counter if it already exists', () => {
       const registry = MeterRegistry.create();
 
-      const counter1 = registry.counter('counter1', ['tag1', 'tag2']);
-      const counter2 = registry.counter('counter1', ['tag1', 'tag2']);
+      const counter1 = registry.counter('counter1', { tag1: 'a', tag2: 'b' });
+      const counter2 = registry.counter('counter1', { tag1: 'a', tag2: 'b' });
 
       expect(counter1).toBe(counter2);
     });
+
+    it('Creates a gauge', () => {
+      const registry = MeterRegistry.create();
+
+      const gauge = registry.gauge('gauge1', { tag1: 'a' }, () => 42);
+
+      expect(gauge).toBeInstanceOf(Gauge);
+      expect(gauge.id.type).toEqual(MeterType.GAUGE);
+      expect(gauge.value()).toEqual(42);
+    });
+
+    it('Creates a timer', () => {
+      const registry = MeterRegistry.create();
+
+      const timer = registry.timer('timer1', { tag1: 'a' });
+
+      expect(timer).toBeInstanceOf(TimerMeter);
+      expect(timer.id.type).toEqual(MeterType.TIMER);
+      expect(registry.timer('timer1', { tag1: 'a' })).toBe(timer);
+    });
+
+    it('Creates a distribution summary', () => {
+      const registry = MeterRegistry.create();
+
+      const summary = registry.summary('summary1');
+
+      expect(summary).toBeInstanceOf(DistributionSummary);
+      expect(summary.id.type).toEqual(MeterType.DISTRIBUTION_SUMMARY);
+    });
+
+    it('Fails if meter is registered with different type', () => {
+      const registry = MeterRegistry.create();
+      registry.counter('meter1', { tag1: 'a' });
+
+      expect(() => registry.timer('meter1', { tag1: 'a' })).toThrow(
+        'Meter "meter1" is already registered as COUNTER, can not register it as TIMER.',
+      );
+    });
   });
 
   describe('Counter', () => {
@@ -52,17 +103,539 @@ describe('Metrics', () => {
     });
   });
 
+  describe('Meter filter', () => {
+    it('Adds common tags', () => {
+      const registry = MeterRegistry.create({
+        commonTags: { application: 'app', instance: 'i1' },
+      });
+
+      const counter = registry.counter('counter1', { instance: 'i2' });
+
+      expect(counter.id.tags).toEqual({ application: 'app', instance: 'i2' });
+    });
+
+    it('Renames meter', () => {
+      const registry = MeterRegistry.create();
+      registry.meterFilter(MeterFilter.rename('old.name', 'new.name'));
+
+      const counter = registry.counter('old.name');
+
+      expect(counter.id.name).toEqual('new.name');
+      expect(registry.counter('new.name')).toBe(counter);
+    });
+
+    it('Ignores tags', () => {
+      const registry = MeterRegistry.create();
+      registry.meterFilter(MeterFilter.ignoreTags('userId'));
+
+      const counter = registry.counter('counter1', { userId: '42', a: 'b' });
+
+      expect(counter.id.tags).toEqual({ a: 'b' });
+    });
+
+    it('Replaces tag values', () => {
+      const registry = MeterRegistry.create();
+      registry.meterFilter(
+        MeterFilter.replaceTagValues('uri', (uri) =>
+          uri.replace(/\/\d+/g, '/{id}'),
+        ),
+      );
+
+      const counter = registry.counter('requests', { uri: '/users/42' });
+
+      expect(counter.id.tags).toEqual({ uri: '/users/{id}' });
+    });
+
+    it('Denies meters', () => {
+      const registry = MeterRegistry.create();
+      registry.meterFilter(MeterFilter.denyNameStartsWith('jvm.'));
+
+      const counter = registry.counter('jvm.threads');
+      counter.increment();
+
+      expect(counter.count()).toEqual(1);
+      expect(registry.meters).toEqual([]);
+    });
+
+    it('Limits number of tag values', () => {
+      const registry = MeterRegistry.create();
+      registry.meterFilter(MeterFilter.maximumAllowableTags('http.', 'uri', 2));
+
+      registry.counter('http.requests', { uri: '/a' });
+      registry.counter('http.requests', { uri: '/b' });
+      registry.counter('http.requests', { uri: '/c' });
+      registry.counter('other', { uri: '/c' });
+
+      expect(registry.meters.map((meter) => meter.id.tags.uri)).toEqual([
+        '/a',
+        '/b',
+        '/c',
+      ]);
+      expect(registry.meters.map((meter) => meter.id.name)).toEqual([
+        'http.requests',
+        'http.requests',
+        'other',
+      ]);
+    });
+  });
+
+  describe('Gauge', () => {
+    it('Reads value from supplier', () => {
+      let value = 1;
+      const gauge = new Gauge(MeterId.create({ name: 'gauge1' }), () => value);
+
+      value = 2;
+
+      expect(gauge.value()).toEqual(2);
+    });
+  });
+
+  describe('Timer', () => {
+    it('Records durations', () => {
+      const timer = new TimerMeter(MeterId.create({ name: 'timer1' }));
+
+      timer.record(100);
+      timer.record('PT0.3S');
+
+      expect(timer.count()).toEqual(2);
+      expect(timer.totalTime()).toEqual(400);
+      expect(timer.mean()).toEqual(200);
+      expect(timer.max()).toEqual(300);
+    });
+
+    it('Ignores durations which are not finite', () => {
+      const timer = new TimerMeter(MeterId.create({ name: 'timer1' }));
+
+      timer.record(undefined);
+      timer.record(NaN);
+      timer.record(Infinity);
+      timer.record('foo');
+
+      expect(timer.count()).toEqual(0);
+      expect(timer.totalTime()).toEqual(0);
+    });
+
+    it('Records duration of function', () => {
+      const clock = Clock.fixed();
+      const timer = new TimerMeter(MeterId.create({ name: 'timer1' }), {
+        clock,
+      });
+
+      const result = timer.recordCallable(() => {
+        clock.add(250);
+        return 'result';
+      });
+
+      expect(result).toEqual('result');
+      expect(timer.totalTime()).toEqual(250);
+    });
+
+    it('Records duration of failed function', () => {
+      const clock = Clock.fixed();
+      const timer = new TimerMeter(MeterId.create({ name: 'timer1' }), {
+        clock,
+      });
+
+      expect(() =>
+        timer.recordCallable(() => {
+          clock.add(50);
+          throw new Error('failed');
+        }),
+      ).toThrow('failed');
+      expect(timer.count()).toEqual(1);
+      expect(timer.totalTime()).toEqual(50);
+    });
+
+    it('Records duration of async function', async () => {
+      const clock = Clock.fixed();
+      const timer = new TimerMeter(MeterId.create({ name: 'timer1' }), {
+        clock,
+      });
+
+      const result = await timer.recordCallable(async () => {
+        await Promise.resolve();
+        clock.add(500);
+        return 'result';
+      });
+
+      expect(result).toEqual('result');
+      expect(timer.totalTime()).toEqual(500);
+    });
+
+    it('Returns zero mean without records', () => {
+      const timer = new TimerMeter(MeterId.create({ name: 'timer1' }));
+
+      expect(timer.mean()).toEqual(0);
+    });
+  });
+
+  describe('Distribution summary', () => {
+    it('Records amounts', () => {
+      const summary = new DistributionSummary(
+        MeterId.create({ name: 'summary1' }),
+      );
+
+      summary.record(10);
+      summary.record(30);
+
+      expect(summary.count()).toEqual(2);
+      expect(summary.totalAmount()).toEqual(40);
+      expect(summary.mean()).toEqual(20);
+      expect(summary.max()).toEqual(30);
+    });
+
+    it('Computes percentiles', () => {
+      const summary = new DistributionSummary(
+        MeterId.create({ name: 'summary1' }),
+        { percentiles: [0.5, 0.9] },
+      );
+
+      for (let i = 1; i <= 10; i++) {
+        summary.record(i);
+      }
+
+      expect(summary.percentiles()).toEqual([
+        { percentile: 0.5, value: 5 },
+        { percentile: 0.9, value: 9 },
+      ]);
+    });
+
+    it('Counts histogram buckets', () => {
+      const summary = new DistributionSummary(
+        MeterId.create({ name: 'summary1' }),
+        { buckets: [100, 10] },
+      );
+
+      summary.record(5);
+      summary.record(10);
+      summary.record(50);
+      summary.record(500);
+
+      expect(summary.histogram()).toEqual([
+        { bucket: 10, count: 2 },
+        { bucket: 100, count: 3 },
+      ]);
+    });
+  });
+
+  describe('Push meter registry', () => {
+    it('Publishes measurements of meters', async () => {
+      const registry = PushMeterRegistry.createNull({
+        url: 'http://example.com/x',
+        commonTags: { app: 'test' },
+      });
+      const requestsSent = registry.trackRequestsSent();
+      registry.counter('requests', { status: '200' }).increment(3);
+      registry.gauge('queue.size', {}, () => 5);
+      const timer = registry.timer('latency');
+      timer.record(100);
+      timer.record(300);
+
+      await registry.publish();
+
+      expect(requestsSent.data).toEqual([
+        { url: 'http://example.com/x', body: expect.any(String) },
+      ]);
+      expect(JSON.parse(requestsSent.data[0].body)).toEqual({
+        timestamp: '2024-02-21T19:16:00.000Z',
+        meters: [
+          {
+            name: 'requests',
+            type: 'COUNTER',
+            tags: { app: 'test', status: '200' },
+            measurements: [{ statistic: 'COUNT', value: 3 }],
+          },
+          {
+            name: 'queue.size',
+            type: 'GAUGE',
+            tags: { app: 'test' },
+            measurements: [{ statistic: 'VALUE', value: 5 }],
+          },
+          {
+            name: 'latency',
+            type: 'TIMER',
+            tags: { app: 'test' },
+            measurements: [
+              { statistic: 'COUNT', value: 2 },
+              { statistic: 'TOTAL_TIME', value: 400 },
+              { statistic: 'MAX', value: 300 },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('Publishes meters in batches', async () => {
+      const registry = PushMeterRegistry.createNull({ batchSize: 2 });
+      const requestsSent = registry.trackRequestsSent();
+      registry.counter('counter1');
+      registry.counter('counter2');
+      registry.counter('counter3');
+
+      await registry.publish();
+
+      expect(
+        requestsSent.data.map(({ body }) =>
+          JSON.parse(body).meters.map((meter) => meter.name),
+        ),
+      ).toEqual([['counter1', 'counter2'], ['counter3']]);
+    });
+
+    it('Does not send without meters', async () => {
+      const registry = PushMeterRegistry.createNull();
+      const requestsSent = registry.trackRequestsSent();
+
+      await registry.publish();
+
+      expect(requestsSent.data).toEqual([]);
+    });
+
+    it('Retries failed requests', async () => {
+      const registry = PushMeterRegistry.createNull({
+        retry: 2,
+        fetchResponse: [
+          new TypeError('Network error'),
+          { status: 503, statusText: 'Service Unavailable' },
+          { status: 204 },
+        ],
+      });
+      const requestsSent = registry.trackRequestsSent();
+      registry.counter('counter1');
+
+      await registry.publish();
+
+      expect(requestsSent.data.length).toBe(3);
+    });
+
+    it('Gives up after retries', async () => {
+      const consoleError = vi
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+      const registry = PushMeterRegistry.createNull({
+        retry: 1,
+        fetchResponse: { status: 500, statusText: 'Internal Server Error' },
+      });
+      const requestsSent = registry.trackRequestsSent();
+      registry.counter('counter1');
+
+      await registry.publish();
+
+      expect(requestsSent.data.length).toBe(2);
+      expect(consoleError).toHaveBeenCalledOnce();
+      consoleError.mockRestore();
+    });
+
+    it('Skips meter which fails to measure', async () => {
+      const consoleError = vi
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+      const registry = PushMeterRegistry.createNull();
+      const requestsSent = registry.trackRequestsSent();
+      let fail = true;
+      registry.gauge('gauge1', {}, () => {
+        if (fail) {
+          fail = false;
+          throw new Error('Not available');
+        }
+        return 1;
+      });
+      registry.counter('counter1');
+
+      await registry.publish();
+      await registry.publish();
+
+      const names = requestsSent.data.map(({ body }) =>
+        JSON.parse(body).meters.map((meter) => meter.name),
+      );
+      expect(names).toEqual([['counter1'], ['gauge1', 'counter1']]);
+      expect(consoleError).toHaveBeenCalledOnce();
+      consoleError.mockRestore();
+    });
+
+    it('Publishes a last time when closed', async () => {
+      const registry = PushMeterRegistry.createNull();
+      const requestsSent = registry.trackRequestsSent();
+      registry.counter('counter1');
+
+      await registry.close();
+
+      expect(requestsSent.data.length).toBe(1);
+    });
+  });
+
+  describe('Metrics handler', () => {
+    it('Counts warnings and errors by level', async () => {
+      const registry = MeterRegistry.create();
+      const handler = new MetricsHandler(registry);
+
+      await handler.publish(new LogRecord(Level.INFO, 'info'));
+      await handler.publish(new LogRecord(Level.WARNING, 'warning'));
+      await handler.publish(new LogRecord(Level.ERROR, 'error 1'));
+      await handler.publish(new LogRecord(Level.ERROR, 'error 2'));
+
+      expect(registry.meters.map((meter) => meter.id.tags)).toEqual([
+        { level: 'warning' },
+        { level: 'error' },
+      ]);
+      expect(registry.counter('log.events', { level: 'warning' }).count()).toBe(
+        1,
+      );
+      expect(registry.counter('log.events', { level: 'error' }).count()).toBe(
+        2,
+      );
+    });
+
+    it('Counts more levels if configured', async () => {
+      const registry = MeterRegistry.create();
+      const handler = new MetricsHandler(registry);
+      handler.level = Level.INFO;
+
+      await handler.publish(new LogRecord(Level.INFO, 'info'));
+
+      expect(registry.counter('log.events', { level: 'info' }).count()).toBe(1);
+    });
+  });
+
+  describe('Prometheus formatter', () => {
+    it('Renders counter and gauge', () => {
+      const registry = MeterRegistry.create();
+      registry
+        .counter('http.requests', { status: '200', method: 'GET' })
+        .increment(2);
+      registry.counter('jobs_total').increment();
+      registry.gauge('queue.size', [], () => 5);
+
+      const text = new PrometheusFormatter().format(registry.meters);
+
+      expect(text).toEqual(
+        '# HELP http_requests_total http.requests\n' +
+          '# TYPE http_requests_total counter\n' +
+          'http_requests_total{method="GET",status="200"} 2\n' +
+          '# HELP jobs_total jobs_total\n' +
+          '# TYPE jobs_total counter\n' +
+          'jobs_total 1\n' +
+          '# HELP queue_size queue.size\n' +
+          '# TYPE queue_size gauge\n' +
+          'queue_size 5\n',
+      );
+    });
+
+    it('Groups meters with same name', () => {
+      const registry = MeterRegistry.create();
+      registry.counter('requests', { status: '200' }).increment();
+      registry.counter('requests', { status: '500' }).increment();
+
+      const text = new PrometheusFormatter().format(registry.meters);
+
+      expect(text).toEqual(
+        '# HELP requests_total requests\n' +
+          '# TYPE requests_total counter\n' +
+          'requests_total{status="200"} 1\n' +
+          'requests_total{status="500"} 1\n',
+      );
+    });
+
+    it('Sanitizes names and escapes label values', () => {
+      const registry = MeterRegistry.create();
+      registry.gauge('1st-value', { 'path.name': 'a"b\\c\nd' }, () => 1);
+
+      const text = new PrometheusFormatter().format(registry.meters);
+
+      expect(text).toContain('_1st_value{path_name="a\\"b\\\\c\\nd"} 1\n');
+    });
+
+    it('Renders timer as summary', () => {
+      const registry = MeterRegistry.create();
+      const timer = registry.timer('http.latency', [], {
+        percentiles: [0.5],
+      });
+      timer.record(100);
+      timer.record(300);
+
+      const text = new PrometheusFormatter().format(registry.meters);
+
+      expect(text).toEqual(
+        '# HELP http_latency_seconds http.latency\n' +
+          '# TYPE http_latency_seconds summary\n' +
+          'http_latency_seconds{quantile="0.5"} 0.1\n' +
+          'http_latency_seconds_sum 0.4\n' +
+          'http_latency_seconds_count 2\n' +
+          '# HELP http_latency_seconds_max http.latency\n' +
+          '# TYPE http_latency_seconds_max gauge\n' +
+          'http_latency_seconds_max 0.3\n',
+      );
+    });
+
+    it('Renders distribution summary as histogram', () => {
+      const registry = MeterRegistry.create();
+      const summary = registry.summary('response.size', [], {
+        buckets: [100, 1000],
+      });
+      summary.record(50);
+      summary.record(500);
+      summary.record(5000);
+
+      const text = new PrometheusFormatter().format(registry.meters);
+
+      expect(text).toEqual(
+        '# HELP response_size response.size\n' +
+          '# TYPE response_size histogram\n' +
+          'response_size_bucket{le="100"} 1\n' +
+          'response_size_bucket{le="1000"} 2\n' +
+          'response_size_bucket{le="+Inf"} 3\n' +
+          'response_size_sum 5550\n' +
+          'response_size_count 3\n' +
+          '# HELP response_size_max response.size\n' +
+          '# TYPE response_size_max gauge\n' +
+          'response_size_max 5000\n',
+      );
+    });
+
+    it('Renders OpenMetrics format', () => {
+      const registry = MeterRegistry.create();
+      registry.counter('requests').increment();
+
+      const text = new PrometheusFormatter({ openMetrics: true }).format(
+        registry.meters,
+      );
+
+      expect(text).toEqual(
+        '# HELP requests requests\n' +
+          '# TYPE requests counter\n' +
+          'requests_total 1\n' +
+          '# EOF\n',
+      );
+    });
+  });
+
   describe('Meter ID', () => {
     describe('Equals', () => {
       it('Returns true if names and tags are equal', () => {
         const id1 = MeterId.create({
           name: 'name',
-          tags: ['tag1', 'tag2'],
+          tags: { tag1: 'a', tag2: 'b' },
+          type: MeterType.COUNTER,
+        });
+        const id2 = MeterId.create({
+          name: 'name',
+          tags: { tag1: 'a', tag2: 'b' },
+          type: MeterType.COUNTER,
+        });
+
+        const result = id1.equals(id2);
+
+        expect(result).toEqual(true);
+      });
+
+      it('Ignores order of tags', () => {
+        const id1 = MeterId.create({
+          name: 'name',
+          tags: { tag1: 'a', tag2: 'b' },
           type: MeterType.COUNTER,
         });
         const id2 = MeterId.create({
           name: 'name',
-          tags: ['tag1', 'tag2'],
+          tags: { tag2: 'b', tag1: 'a' },
           type: MeterType.COUNTER,
         });
 
@@ -74,12 +647,12 @@ describe('Metrics', () => {
       it('Returns false if names are not equal', () => {
         const id1 = MeterId.create({
           name: 'name1',
-          tags: ['tag1', 'tag2'],
+          tags: { tag1: 'a', tag2: 'b' },
           type: MeterType.COUNTER,
         });
         const id2 = MeterId.create({
           name: 'name2',
-          tags: ['tag1', 'tag2'],
+          tags: { tag1: 'a', tag2: 'b' },
           type: MeterType.COUNTER,
         });
 
@@ -91,12 +664,12 @@ describe('Metrics', () => {
       it('Returns false if tags are not equal', () => {
         const id1 = MeterId.create({
           name: 'name',
-          tags: ['tag1', 'tag2'],
+          tags: { tag1: 'a', tag2: 'b' },
           type: MeterType.COUNTER,
         });
         const id2 = MeterId.create({
           name: 'name',
-          tags: ['tag1', 'tag3'],
+          tags: { tag1: 'a', tag2: 'c' },
           type: MeterType.COUNTER,
         });
 
@@ -105,21 +678,21 @@ describe('Metrics', () => {
         expect(result).toEqual(false);
       });
 
-      it('Ignores different types', () => {
+      it('Returns false if types are not equal', () => {
         const id1 = MeterId.create({
           name: 'name',
-          tags: ['tag1', 'tag2'],
+          tags: { tag1: 'a', tag2: 'b' },
           type: MeterType.COUNTER,
         });
         const id2 = MeterId.create({
           name: 'name',
-          tags: ['tag1', 'tag2'],
+          tags: { tag1: 'a', tag2: 'b' },
           type: MeterType.GAUGE,
         });
 
         const result = id1.equals(id2);
 
-        expect(result).toEqual(true);
+        expect(result).toEqual(false);
       });
     });
   });
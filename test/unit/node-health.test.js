@@ -0,0 +1,186 @@
+// Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
+
+import { describe, expect, it, vi } from 'vitest';
+
+import { HealthContributorRegistry, Status } from '../../lib/health.js';
+import {
+  configureHealthIndicators,
+  DiskSpaceHealthIndicator,
+  EventLoopHealthIndicator,
+  HealthConfiguration,
+  HeapHealthIndicator,
+} from '../../lib/node/health.js';
+
+describe('Node health', () => {
+  describe('Disk space health indicator', () => {
+    it('Reports up if free disk space is above threshold', async () => {
+      const indicator = DiskSpaceHealthIndicator.createNull({
+        path: '/data',
+        threshold: 100,
+        free: 200,
+        total: 1000,
+      });
+
+      const health = await indicator.health();
+
+      expect(health.status).toBe(Status.UP);
+      expect(health.details).toEqual({
+        path: '/data',
+        total: 1000,
+        free: 200,
+        threshold: 100,
+      });
+    });
+
+    it('Reports down if free disk space is below threshold', async () => {
+      const indicator = DiskSpaceHealthIndicator.createNull({
+        threshold: 100,
+        free: 99,
+      });
+
+      const health = await indicator.health();
+
+      expect(health.status).toBe(Status.DOWN);
+    });
+
+    it('Reports unknown if runtime does not support disk space', async () => {
+      const indicator = new DiskSpaceHealthIndicator('/data', 100, {});
+
+      const health = await indicator.health();
+
+      expect(health.status).toBe(Status.UNKNOWN);
+      expect(health.details).toEqual({
+        path: '/data',
+        error: 'Disk space is not supported.',
+      });
+    });
+  });
+
+  describe('Heap health indicator', () => {
+    it('Reports up if heap usage is below threshold', () => {
+      const indicator = HeapHealthIndicator.createNull({
+        threshold: 0.8,
+        used: 800,
+        limit: 1000,
+      });
+
+      const health = indicator.health();
+
+      expect(health.status).toBe(Status.UP);
+      expect(health.details).toEqual({
+        used: 800,
+        limit: 1000,
+        threshold: 0.8,
+      });
+    });
+
+    it('Reports down if heap usage exceeds threshold', () => {
+      const indicator = HeapHealthIndicator.createNull({
+        threshold: 0.8,
+        used: 801,
+        limit: 1000,
+      });
+
+      const health = indicator.health();
+
+      expect(health.status).toBe(Status.DOWN);
+    });
+  });
+
+  describe('Event loop health indicator', () => {
+    it('Reports up if delay is below threshold', () => {
+      const indicator = EventLoopHealthIndicator.createNull({
+        threshold: 100,
+        delay: 20,
+      });
+
+      const health = indicator.health();
+
+      expect(health.status).toBe(Status.UP);
+      expect(health.details).toEqual({ delay: 20, threshold: 100 });
+    });
+
+    it('Reports down if delay exceeds threshold', () => {
+      const indicator = EventLoopHealthIndicator.createNull({
+        threshold: 100,
+        delay: 150,
+      });
+
+      const health = indicator.health();
+
+      expect(health.status).toBe(Status.DOWN);
+    });
+  });
+
+  describe('Configure health indicators', () => {
+    it('Registers all indicators except HTTP dependencies by default', () => {
+      const registry = new HealthContributorRegistry();
+
+      configureHealthIndicators(HealthConfiguration.fromObject(), registry);
+
+      const names = Array.from(registry).map(({ name }) => name);
+      expect(names).toEqual(['diskSpace', 'heap', 'eventLoop', 'ping']);
+      registry.getContributor('eventLoop').close();
+    });
+
+    it('Closes replaced indicators', () => {
+      const registry = new HealthContributorRegistry();
+      const previous = EventLoopHealthIndicator.createNull();
+      const close = vi.spyOn(previous, 'close');
+      registry.registerContributor('eventLoop', previous);
+
+      configureHealthIndicators(HealthConfiguration.fromObject(), registry);
+
+      expect(close).toHaveBeenCalledOnce();
+      expect(registry.getContributor('eventLoop')).not.toBe(previous);
+      registry.getContributor('eventLoop').close();
+    });
+
+    it('Registers configured indicators', () => {
+      const registry = new HealthContributorRegistry();
+
+      configureHealthIndicators(
+        HealthConfiguration.fromObject({
+          diskSpace: { enabled: false },
+          heap: { enabled: false },
+          eventLoop: { enabled: false },
+          http: {
+            payment: { url: 'http://payment/health', timeout: 2000 },
+          },
+        }),
+        registry,
+      );
+
+      const names = Array.from(registry).map(({ name }) => name);
+      expect(names).toEqual(['ping', 'payment']);
+      expect(registry.getContributor('payment').timeout).toBe(2000);
+    });
+
+    it('Unregisters disabled and removed indicators', () => {
+      const registry = new HealthContributorRegistry();
+      configureHealthIndicators(
+        HealthConfiguration.fromObject({
+          http: {
+            payment: { url: 'http://payment/health' },
+            shipping: { url: 'http://shipping/health' },
+          },
+        }),
+        registry,
+      );
+      const eventLoop = registry.getContributor('eventLoop');
+      const close = vi.spyOn(eventLoop, 'close');
+
+      configureHealthIndicators(
+        HealthConfiguration.fromObject({
+          eventLoop: { enabled: false },
+          http: { shipping: { url: 'http://shipping/health' } },
+        }),
+        registry,
+      );
+
+      const names = Array.from(registry).map(({ name }) => name);
+      expect(names).toEqual(['diskSpace', 'heap', 'ping', 'shipping']);
+      expect(close).toHaveBeenCalledOnce();
+    });
+  });
+});
@@ -0,0 +1,251 @@
+// Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
+
+import zlib from 'node:zlib';
+import { describe, expect, it } from 'vitest';
+
+import {
+  JsonFormatter,
+  Level,
+  LoggingConfiguration,
+  LogContext,
+  Logger,
+  LogManager,
+  LogRecord,
+  SimpleFormatter,
+} from '../../lib/logging.js';
+import { FileHandler } from '../../lib/node/logging.js';
+import { Clock } from '../../lib/time.js';
+
+describe('Node logging', () => {
+  it('Propagates log context through asynchronous calls', async () => {
+    const log = Logger.getAnonymousLogger();
+    const loggedMessages = log.trackMessagesLogged();
+
+    await LogContext.run({ requestId: 'r1' }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      log.info('info message');
+    });
+
+    expect(loggedMessages.data).toEqual([
+      expect.objectContaining({ fields: { requestId: 'r1' } }),
+    ]);
+  });
+
+  describe('File handler', () => {
+    it('Writes log messages to file', async () => {
+      const files = {};
+      const handler = createHandler({ files });
+
+      await handler.publish(createRecord('message 1'));
+      await handler.publish(createRecord('message 2'));
+
+      expect(files).toEqual({
+        'app.log':
+          '2024-02-21T19:16:00.000Z INFO - message 1\n' +
+          '2024-02-21T19:16:00.000Z INFO - message 2\n',
+      });
+    });
+
+    it('Truncates file when limit is exceeded and count is 1', async () => {
+      const files = { 'app.log': 'x'.repeat(40) };
+      const handler = createHandler({ files, limit: 50 });
+
+      await handler.publish(createRecord('message 1'));
+
+      expect(files).toEqual({
+        'app.log': '2024-02-21T19:16:00.000Z INFO - message 1\n',
+      });
+    });
+
+    it('Rotates file when limit is exceeded', async () => {
+      const files = {
+        'app.log': 'current\n',
+        'app.log.1': 'archive 1\n',
+        'app.log.2': 'archive 2\n',
+      };
+      const handler = createHandler({ files, limit: 20, count: 3 });
+
+      await handler.publish(createRecord('message 1'));
+
+      expect(files).toEqual({
+        'app.log': '2024-02-21T19:16:00.000Z INFO - message 1\n',
+        'app.log.1': 'current\n',
+        'app.log.2': 'archive 1\n',
+      });
+    });
+
+    it('Rotates file when day has changed', async () => {
+      const clock = Clock.fixed(new Date('2024-02-21T19:16:00Z'));
+      const files = {};
+      const handler = createHandler({
+        files,
+        count: 2,
+        rotation: 'daily',
+        clock,
+      });
+
+      await handler.publish(createRecord('message 1'));
+      clock.add(60 * 60 * 1000);
+      await handler.publish(createRecord('message 2'));
+      clock.add(4 * 60 * 60 * 1000);
+      await handler.publish(createRecord('message 3'));
+
+      expect(files).toEqual({
+        'app.log': '2024-02-21T19:16:00.000Z INFO - message 3\n',
+        'app.log.1':
+          '2024-02-21T19:16:00.000Z INFO - message 1\n' +
+          '2024-02-21T19:16:00.000Z INFO - message 2\n',
+      });
+    });
+
+    it('Rotates file when hour has changed', async () => {
+      const clock = Clock.fixed(new Date('2024-02-21T19:16:00Z'));
+      const files = {};
+      const handler = createHandler({
+        files,
+        count: 3,
+        rotation: 'hourly',
+        clock,
+      });
+
+      await handler.publish(createRecord('message 1'));
+      clock.add(50 * 60 * 1000);
+      await handler.publish(createRecord('message 2'));
+      clock.add(60 * 60 * 1000);
+      await handler.publish(createRecord('message 3'));
+
+      expect(files).toEqual({
+        'app.log': '2024-02-21T19:16:00.000Z INFO - message 3\n',
+        'app.log.1': '2024-02-21T19:16:00.000Z INFO - message 2\n',
+        'app.log.2': '2024-02-21T19:16:00.000Z INFO - message 1\n',
+      });
+    });
+
+    it('Compresses archived files', async () => {
+      const files = {
+        'app.log': 'current\n',
+        'app.log.1.gz': zlib.gzipSync('archive 1\n'),
+      };
+      const handler = createHandler({
+        files,
+        limit: 20,
+        count: 3,
+        compress: true,
+      });
+
+      await handler.publish(createRecord('message 1'));
+
+      expect(Object.keys(files).sort()).toEqual([
+        'app.log',
+        'app.log.1.gz',
+        'app.log.2.gz',
+      ]);
+      expect(zlib.gunzipSync(files['app.log.1.gz']).toString()).toEqual(
+        'current\n',
+      );
+      expect(zlib.gunzipSync(files['app.log.2.gz']).toString()).toEqual(
+        'archive 1\n',
+      );
+    });
+
+    it('Serializes concurrent writes', async () => {
+      const files = {};
+      const handler = createHandler({ files, limit: 50, count: 3 });
+
+      await Promise.all([
+        handler.publish(createRecord('message 1')),
+        handler.publish(createRecord('message 2')),
+        handler.publish(createRecord('message 3')),
+      ]);
+
+      expect(files).toEqual({
+        'app.log': '2024-02-21T19:16:00.000Z INFO - message 3\n',
+        'app.log.1': '2024-02-21T19:16:00.000Z INFO - message 2\n',
+        'app.log.2': '2024-02-21T19:16:00.000Z INFO - message 1\n',
+      });
+    });
+
+    it('Writes batch of messages at once', async () => {
+      const files = {};
+      const handler = createHandler({ files, limit: 100, count: 2 });
+      handler.level = Level.INFO;
+
+      await handler.publishAll([
+        createRecord('message 1'),
+        new LogRecord(Level.DEBUG, 'debug message'),
+        createRecord('message 2'),
+      ]);
+      await handler.publish(createRecord('message 3'));
+
+      expect(files).toEqual({
+        'app.log': '2024-02-21T19:16:00.000Z INFO - message 3\n',
+        'app.log.1':
+          '2024-02-21T19:16:00.000Z INFO - message 1\n' +
+          '2024-02-21T19:16:00.000Z INFO - message 2\n',
+      });
+    });
+
+    it('Does not write messages below level', async () => {
+      const files = {};
+      const handler = createHandler({ files });
+      handler.level = Level.WARNING;
+
+      await handler.publish(createRecord('message 1'));
+
+      expect(files).toEqual({});
+    });
+
+    it('Rejects unknown rotation', () => {
+      expect(() => createHandler({ rotation: 'weekly' })).toThrow(
+        'Bad rotation "weekly".',
+      );
+    });
+
+    it('Is created by logging configuration', () => {
+      const manager = new LogManager();
+
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({
+          console: { enabled: false },
+          file: { path: 'logs', formatter: 'json', level: 'WARNING' },
+        }),
+      );
+
+      const handlers = manager.getLogger('').getHandlers();
+      expect(handlers).toEqual([expect.any(FileHandler)]);
+      expect(handlers[0].level).toBe(Level.WARNING);
+      expect(handlers[0].formatter).toBeInstanceOf(JsonFormatter);
+    });
+
+    it('Does not color pattern of file handler', () => {
+      const manager = new LogManager();
+
+      manager.readConfiguration(
+        LoggingConfiguration.fromObject({
+          console: { formatter: { name: 'pattern', color: true } },
+          file: {
+            path: 'logs',
+            formatter: { name: 'pattern', pattern: '%level', color: true },
+          },
+        }),
+      );
+
+      const [consoleHandler, fileHandler] = manager.getLogger('').getHandlers();
+      const record = new LogRecord(Level.WARNING, 'message');
+      expect(consoleHandler.formatter.format(record)).toContain('\u001b[');
+      expect(fileHandler.formatter.format(record)).toEqual('WARNING');
+    });
+  });
+});
+
+function createHandler(options) {
+  const handler = FileHandler.createNull({ filename: 'app.log', ...options });
+  handler.formatter = new SimpleFormatter();
+  return handler;
+}
+
+function createRecord(message) {
+  const record = new LogRecord(Level.INFO, message);
+  record.date = new Date('2024-02-21T19:16:00Z');
+  return record;
+}
@@ -0,0 +1,331 @@
+// Copyright (c) 2023-2024 Falko Schumann. All rights reserved. MIT license.
+
+import { EventEmitter } from 'node:events';
+import { constants } from 'node:perf_hooks';
+import { describe, expect, it, vi } from 'vitest';
+
+import { MeterRegistry } from '../../lib/metrics.js';
+import {
+  EventLoopMetrics,
+  GcMetrics,
+  ProcessMetrics,
+  requestMetrics,
+  requestMetricsListener,
+} from '../../lib/node/metrics.js';
+import { Clock } from '../../lib/time.js';
+
+describe('Node metrics', () => {
+  describe('Process metrics', () => {
+    it('Registers gauges for memory, handles and uptime', () => {
+      const registry = MeterRegistry.create();
+      const metrics = ProcessMetrics.createNull({
+        cpuUsage: { user: 2_000_000, system: 500_000 },
+        memoryUsage: {
+          rss: 4000,
+          heapUsed: 1000,
+          heapTotal: 2000,
+          external: 300,
+        },
+        uptime: 42,
+        activeResources: ['TCPServerWrap', 'Timeout'],
+      });
+
+      metrics.bindTo(registry);
+
+      expect(readGauges(registry)).toEqual({
+        'process.cpu.usage': 0,
+        'process.cpu.time': 2.5,
+        'process.uptime': 42,
+        'process.memory.rss': 4000,
+        'nodejs.heap.used': 1000,
+        'nodejs.heap.total': 2000,
+        'nodejs.external.memory': 300,
+        'nodejs.active.handles': 2,
+      });
+    });
+
+    it('Calculates CPU usage between last samples', () => {
+      const registry = MeterRegistry.create();
+      const cpuUsage = { user: 0, system: 0 };
+      const clock = Clock.fixed();
+      const metrics = ProcessMetrics.createNull({ cpuUsage, clock });
+      metrics.bindTo(registry);
+
+      cpuUsage.user = 300_000;
+      cpuUsage.system = 200_000;
+      clock.add(1000);
+      metrics.sample();
+      cpuUsage.user = 400_000;
+      clock.add(1000);
+
+      expect(readGauges(registry)['process.cpu.usage']).toEqual(0.5);
+      expect(readGauges(registry)['process.cpu.usage']).toEqual(0.5);
+
+      metrics.sample();
+
+      expect(readGauges(registry)['process.cpu.usage']).toEqual(0.1);
+    });
+
+    it('Samples CPU usage every step', async () => {
+      const registry = MeterRegistry.create();
+      const metrics = ProcessMetrics.create({ step: 10 });
+      const sample = vi.spyOn(metrics, 'sample');
+
+      metrics.bindTo(registry);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      metrics.close();
+
+      expect(sample.mock.calls.length).toBeGreaterThanOrEqual(3);
+    });
+
+    it('Calculates CPU usage since creation before first sample', () => {
+      const registry = MeterRegistry.create();
+      const cpuUsage = { user: 0, system: 0 };
+      const clock = Clock.fixed();
+      const metrics = ProcessMetrics.createNull({ cpuUsage, clock });
+      metrics.bindTo(registry);
+
+      cpuUsage.user = 250_000;
+      clock.add(1000);
+
+      expect(readGauges(registry)['process.cpu.usage']).toEqual(0.25);
+      expect(readGauges(registry)['process.cpu.usage']).toEqual(0.25);
+    });
+  });
+
+  describe('Event loop metrics', () => {
+    it('Registers gauges for lag and utilization in seconds', () => {
+      const registry = MeterRegistry.create();
+      const metrics = EventLoopMetrics.createNull({
+        delay: { mean: 20_000_000, max: 50_000_000, p99: 40_000_000 },
+        utilization: 0.25,
+      });
+
+      metrics.bindTo(registry);
+
+      expect(readGauges(registry)).toEqual({
+        'nodejs.eventloop.lag': 0.02,
+        'nodejs.eventloop.lag.max': 0.05,
+        'nodejs.eventloop.lag.p99': 0.04,
+        'nodejs.eventloop.utilization': 0.25,
+      });
+    });
+
+    it('Samples utilization every step', async () => {
+      const registry = MeterRegistry.create();
+      const metrics = EventLoopMetrics.create({ step: 10 });
+      const sample = vi.spyOn(metrics, 'sample');
+
+      metrics.bindTo(registry);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      metrics.close();
+
+      expect(sample.mock.calls.length).toBeGreaterThanOrEqual(3);
+      expect(readGauges(registry)['nodejs.eventloop.utilization']).toEqual(
+        expect.any(Number),
+      );
+    });
+  });
+
+  describe('GC metrics', () => {
+    it('Records pauses of garbage collector by kind', () => {
+      const registry = MeterRegistry.create();
+      const metrics = GcMetrics.createNull();
+      metrics.bindTo(registry);
+
+      metrics.simulateGc({
+        kind: constants.NODE_PERFORMANCE_GC_MINOR,
+        duration: 2,
+      });
+      metrics.simulateGc({
+        kind: constants.NODE_PERFORMANCE_GC_MAJOR,
+        duration: 10,
+      });
+      metrics.simulateGc({
+        kind: constants.NODE_PERFORMANCE_GC_MINOR,
+        duration: 4,
+      });
+
+      const minor = registry.timer('nodejs.gc.pause', { kind: 'minor' });
+      const major = registry.timer('nodejs.gc.pause', { kind: 'major' });
+      expect(minor.count()).toEqual(2);
+      expect(minor.totalTime()).toEqual(6);
+      expect(major.count()).toEqual(1);
+      expect(major.totalTime()).toEqual(10);
+    });
+
+    it('Records fractional pauses', () => {
+      const registry = MeterRegistry.create();
+      const metrics = GcMetrics.createNull();
+      metrics.bindTo(registry);
+
+      metrics.simulateGc({
+        kind: constants.NODE_PERFORMANCE_GC_MINOR,
+        duration: 0.73,
+      });
+      metrics.simulateGc({
+        kind: constants.NODE_PERFORMANCE_GC_MINOR,
+        duration: 1.9,
+      });
+
+      const minor = registry.timer('nodejs.gc.pause', { kind: 'minor' });
+      expect(minor.count()).toEqual(2);
+      expect(minor.totalTime()).toBeCloseTo(2.63);
+      expect(minor.max()).toEqual(1.9);
+    });
+
+    it('Stops recording when closed', () => {
+      const registry = MeterRegistry.create();
+      const metrics = GcMetrics.createNull();
+      metrics.bindTo(registry);
+
+      metrics.close();
+      metrics.simulateGc({
+        kind: constants.NODE_PERFORMANCE_GC_MAJOR,
+        duration: 10,
+      });
+
+      expect(registry.meters).toEqual([]);
+    });
+  });
+
+  describe('Request metrics', () => {
+    it('Records request by route template', () => {
+      const registry = MeterRegistry.create();
+      const clock = Clock.fixed();
+      const middleware = requestMetrics(registry, { clock });
+      const request = {
+        method: 'GET',
+        baseUrl: '/api',
+        route: { path: '/users/:id' },
+      };
+      const response = new ResponseStub();
+
+      middleware(request, response, () => {});
+      clock.add(120);
+      response.end(200);
+
+      const timer = registry.timer('http.server.requests', {
+        method: 'GET',
+        uri: '/api/users/:id',
+        status: '200',
+        outcome: 'SUCCESS',
+      });
+      expect(timer.count()).toEqual(1);
+      expect(timer.totalTime()).toEqual(120);
+    });
+
+    it('Records unmatched request as not found', () => {
+      const registry = MeterRegistry.create();
+      const middleware = requestMetrics(registry, { clock: Clock.fixed() });
+      const response = new ResponseStub();
+
+      middleware({ method: 'GET', baseUrl: '' }, response, () => {});
+      response.end(404);
+
+      expect(registry.meters.map((meter) => meter.id.tags)).toEqual([
+        {
+          method: 'GET',
+          outcome: 'CLIENT_ERROR',
+          status: '404',
+          uri: 'NOT_FOUND',
+        },
+      ]);
+    });
+
+    it('Records aborted request once with unknown outcome', () => {
+      const registry = MeterRegistry.create();
+      const clock = Clock.fixed();
+      const middleware = requestMetrics(registry, { clock });
+      const request = { method: 'GET', baseUrl: '', route: { path: '/slow' } };
+      const response = new ResponseStub();
+
+      middleware(request, response, () => {});
+      clock.add(50);
+      response.abort();
+      response.abort();
+
+      const timer = registry.timer('http.server.requests', {
+        method: 'GET',
+        uri: '/slow',
+        status: '200',
+        outcome: 'UNKNOWN',
+      });
+      expect(timer.count()).toEqual(1);
+      expect(timer.totalTime()).toEqual(50);
+      expect(registry.meters.length).toEqual(1);
+    });
+
+    it('Records request of plain request listener', () => {
+      const registry = MeterRegistry.create();
+      const clock = Clock.fixed();
+      const listener = requestMetricsListener(
+        (_request, response) => {
+          clock.add(30);
+          response.end(500);
+        },
+        registry,
+        { uri: () => '/health', clock },
+      );
+
+      listener({ method: 'POST' }, new ResponseStub());
+
+      const timer = registry.timer('http.server.requests', {
+        method: 'POST',
+        uri: '/health',
+        status: '500',
+        outcome: 'SERVER_ERROR',
+      });
+      expect(timer.count()).toEqual(1);
+      expect(timer.totalTime()).toEqual(30);
+    });
+
+    it('Records aborted request of plain request listener', () => {
+      const registry = MeterRegistry.create();
+      const listener = requestMetricsListener(
+        (_request, response) => response.abort(),
+        registry,
+        { uri: () => '/health', clock: Clock.fixed() },
+      );
+
+      listener({ method: 'GET' }, new ResponseStub());
+
+      expect(registry.meters.map((meter) => meter.id.tags)).toEqual([
+        { method: 'GET', outcome: 'UNKNOWN', status: '200', uri: '/health' },
+      ]);
+    });
+
+    it('Records unknown uri if not provided', () => {
+      const registry = MeterRegistry.create();
+      const listener = requestMetricsListener(
+        (_request, response) => response.end(201),
+        registry,
+        { clock: Clock.fixed() },
+      );
+
+      listener({ method: 'PUT' }, new ResponseStub());
+
+      expect(registry.meters[0].id.tags.uri).toEqual('UNKNOWN');
+    });
+  });
+});
+
+function readGauges(registry) {
+  return Object.fromEntries(
+    registry.meters.map((meter) => [meter.id.name, meter.value()]),
+  );
+}
+
+class ResponseStub extends EventEmitter {
+  statusCode = 200;
+
+  end(statusCode) {
+    this.statusCode = statusCode;
+    this.emit('finish');
+    this.emit('close');
+  }
+
+  abort() {
+    this.emit('close');
+  }
+}
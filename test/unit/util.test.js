@@ -3,7 +3,13 @@
 import { describe, expect, it } from 'vitest';
 
 import { Clock, Duration } from '../../lib/time.js';
-import { deepMerge, Random, Timer, TimerTask } from '../../lib/util.js';
+import {
+  deepMerge,
+  postJsonWithRetry,
+  Random,
+  Timer,
+  TimerTask,
+} from '../../lib/util.js';
 
 describe('Util', () => {
   describe('Objects', () => {
@@ -145,6 +151,67 @@ describe('Util', () => {
     });
   });
 
+  describe('Post JSON with retry', () => {
+    it('Posts JSON body', async () => {
+      const requests = [];
+      const fetch = async (url, options) => {
+        requests.push({ url, ...options });
+        return new Response(null, { status: 204 });
+      };
+
+      await postJsonWithRetry({ url: 'http://example.com', body: '[]', fetch });
+
+      expect(requests).toEqual([
+        {
+          url: 'http://example.com',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: '[]',
+        },
+      ]);
+    });
+
+    it('Retries failed request', async () => {
+      const responses = [
+        new TypeError('fetch failed'),
+        new Response(null, { status: 503 }),
+        new Response(null, { status: 204 }),
+      ];
+      const fetch = async () => {
+        const response = responses.shift();
+        if (response instanceof Error) {
+          throw response;
+        }
+        return response;
+      };
+      let attempts = 0;
+
+      await postJsonWithRetry({
+        url: 'http://example.com',
+        body: '[]',
+        fetch,
+        retry: 2,
+        onSend: () => attempts++,
+      });
+
+      expect(attempts).toBe(3);
+    });
+
+    it('Rejects with last error when all attempts failed', async () => {
+      const fetch = async () =>
+        new Response(null, { status: 500, statusText: 'Server Error' });
+
+      const result = postJsonWithRetry({
+        url: 'http://example.com',
+        body: '[]',
+        fetch,
+        retry: 1,
+      });
+
+      await expect(result).rejects.toThrow('HTTP error: 500 Server Error');
+    });
+  });
+
   describe('Timer', () => {
     it('Schedules a task with delay', () => {
       const clock = Clock.fixed(1000);
@@ -336,7 +403,31 @@ describe('Util', () => {
       timer.schedule(task1, 2000);
       timer.schedule(task2, 1000);
 
-      expect(timer._queue).toEqual([task1, task2]);
+      expect(timer._queue).toEqual([task2, task1]);
+    });
+
+    it('Runs periodic task repeatedly', async () => {
+      const timer = Timer.create();
+      const task = new StubbedTask();
+
+      timer.scheduleAtFixedRate(task, 10, 10);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      timer.cancel();
+
+      expect(task.runs).toBeGreaterThanOrEqual(3);
+    });
+
+    it('Runs tasks in order of execution time', async () => {
+      const timer = Timer.create();
+      const runs = [];
+      const task1 = new CallbackTask(() => runs.push('task1'));
+      const task2 = new CallbackTask(() => runs.push('task2'));
+
+      timer.schedule(task1, 40);
+      timer.schedule(task2, 10);
+      await new Promise((resolve) => setTimeout(resolve, 80));
+
+      expect(runs).toEqual(['task2', 'task1']);
     });
 
     describe('Simulate task execution', () => {
@@ -419,3 +510,16 @@ class StubbedTask extends TimerTask {
     this.runs++;
   }
 }
+
+class CallbackTask extends TimerTask {
+  #callback;
+
+  constructor(callback) {
+    super();
+    this.#callback = callback;
+  }
+
+  run() {
+    this.#callback();
+  }
+}